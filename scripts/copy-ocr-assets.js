@@ -0,0 +1,34 @@
+/**
+ * Copy OCR assets into public/tesseract
+ * Offline OCR (see OCR_CONFIG) loads the Tesseract worker, its WASM core and the language
+ * data from the app itself; this copies them there from node_modules. Runs before
+ * `npm start` and `npm run build`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const target = path.join(__dirname, '..', 'public', 'tesseract');
+const packageDir = (name) => path.dirname(require.resolve(`${name}/package.json`));
+
+const copy = (from, to) => {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.copyFileSync(from, to);
+};
+
+copy(
+  path.join(packageDir('tesseract.js'), 'dist', 'worker.min.js'),
+  path.join(target, 'worker.min.js')
+);
+
+// Every core build: the worker picks one by SIMD support and OCR engine mode
+const coreDir = packageDir('tesseract.js-core');
+fs.readdirSync(coreDir)
+  .filter((file) => /^tesseract-core.*\.(?:js|wasm)$/.test(file))
+  .forEach((file) => copy(path.join(coreDir, file), path.join(target, 'core', file)));
+
+// Integer LSTM models, the ones tesseract.js uses with its default (LSTM only) engine mode
+copy(
+  path.join(packageDir('@tesseract.js-data/eng'), '4.0.0_best_int', 'eng.traineddata.gz'),
+  path.join(target, 'lang', 'eng.traineddata.gz')
+);
@@ -94,6 +94,7 @@ export const DATA_EXPOSURE_TYPES = {
   INTELLECTUAL_PROPERTY: 'Intellectual Property',
   INFRASTRUCTURE: 'Infrastructure Details',
   STRATEGIC_INFO: 'Strategic Information',
+  PERSONAL_IDENTIFIERS: 'Personal Identifiers',
 };
 
 export const THREAT_TYPES = {
@@ -168,6 +169,97 @@ export const ACTION_TEMPLATES = {
   },
 };
 
+// Organization-specific detection rules, loaded at runtime (see services/detectors/ruleSchema)
+export const DETECTION_RULES_URL = `${process.env.PUBLIC_URL}/rules/detection-rules.json`;
+
+// Local OCR for image attachments. Everything is served from public/tesseract so OCR works
+// offline: worker.min.js from tesseract.js/dist, the tesseract.js-core files under core/
+// and <language>.traineddata.gz under lang/, copied from node_modules by
+// scripts/copy-ocr-assets.js before `npm start` and `npm run build`.
+export const OCR_CONFIG = {
+  language: 'eng',
+  workerPath: `${process.env.PUBLIC_URL}/tesseract/worker.min.js`,
+  corePath: `${process.env.PUBLIC_URL}/tesseract/core`,
+  langPath: `${process.env.PUBLIC_URL}/tesseract/lang`,
+  // Words recognized with less confidence than this (0-100) are left out of the text
+  minWordConfidence: 40,
+};
+
+// Limits for unpacking attachments, so archive bombs cannot stall a scan
+export const ATTACHMENT_LIMITS = {
+  maxAttachmentSize: 25 * 1024 * 1024, // Bytes, as downloaded
+  maxFileSize: 10 * 1024 * 1024, // Bytes, per unpacked file
+  maxTotalSize: 50 * 1024 * 1024, // Bytes, everything unpacked from one attachment
+  maxEntries: 1000, // Files unpacked from one attachment
+  maxDepth: 3, // Archives inside archives
+  maxCompressionRatio: 100, // Unpacked size / packed size of a single entry
+};
+
+// Document fingerprinting (see services/DocumentFingerprintRegistry). Any passage of
+// shingleSize + windowSize - 1 words copied from a registered document is found.
+export const FINGERPRINT_CONFIG = {
+  shingleSize: 5, // Words per hashed shingle
+  windowSize: 4, // Shingles per winnowing window
+  salt: '', // Mixed into every shingle hash
+  minMatchedFingerprints: 3, // Shared fingerprints needed to report a match
+  minOverlap: 5, // Percent of the document's fingerprints needed to report a match
+  criticalOverlap: 50, // Percent at which a match is critical
+};
+
+// Exact data matching against hashed record sets (see services/ExactDataMatchIndex)
+export const EDM_CONFIG = {
+  // Mixed into every field hash. Without REACT_APP_EDM_SALT each index generates its own,
+  // so indexes saved with toJSON can only be loaded where the salt is configured.
+  salt: process.env.REACT_APP_EDM_SALT || null,
+  minValueLength: 4, // Shorter field values are not indexed
+  maxWordsPerValue: 3, // Longest word sequence in a post tried as a field value
+  maxRowsPerValue: 3, // Values shared by more records than this identify no one
+  minMatchedColumns: 1, // Fields of one record that must appear for it to count
+  highRecords: 10, // Records of one dataset in a post for high severity
+  criticalRecords: 100, // ... and for critical severity
+};
+
+// Redaction of finding values (see services/Redactor and services/EvidenceVault)
+export const REDACTION_CONFIG = {
+  // Mixed into the hash shown in each placeholder and the hashes false positives are
+  // suppressed by. Without REACT_APP_REDACTION_SALT a random one is generated per browser.
+  salt: process.env.REACT_APP_REDACTION_SALT || null,
+  categories: ['secret', 'database', 'financial', 'pii'], // Finding categories redacted
+};
+
+// Grouping of posts into leak incidents (see services/LeakClusteringService)
+export const CLUSTERING_CONFIG = {
+  shingleSize: 2, // Words per SimHash feature
+  minWords: 8, // Shorter posts are only grouped by shared secrets and URLs
+  // SimHash bits two near-duplicate posts may differ in. Posts are short, so a small
+  // edit moves many bits: reposts differ in up to ~10, unrelated posts in 25 or more.
+  maxHammingDistance: 10,
+};
+
+// Batch detection in Web Workers (see services/BatchDetectionService)
+export const BATCH_CONFIG = {
+  maxWorkers: 4, // Upper bound; never more than navigator.hardwareConcurrency - 1
+  postsPerWorker: 4, // Posts queued per worker, so workers never wait for the next post
+};
+
+// Where posts come from (see services/connectors): the platform connectors ('live'), or a
+// replay of posts recorded to public/fixtures/<platform>.jsonl ('replay'), e.g. for demos
+// that look the same on every load. Set REACT_APP_POST_SOURCE=replay to switch.
+export const CONNECTOR_CONFIG = {
+  source: process.env.REACT_APP_POST_SOURCE || 'live',
+  replay: {
+    fixturesUrl: `${process.env.PUBLIC_URL}/fixtures`,
+    // Times faster than recorded: 288 replays a recorded day in 5 minutes
+    speed: 1,
+    // Shift the recording so its last post ('end') or first post ('start') is at `at`:
+    // an ISO time, 'now' for when the replay starts, or null to keep the recorded times,
+    // so every load shows the same posts at the same times. 'end' replays it all at once,
+    // 'start' with 'now' releases posts as the replay clock reaches them.
+    align: 'end',
+    at: null,
+  },
+};
+
 /**
  * Utility Functions
  */
@@ -282,6 +374,11 @@ export const UtilityFunctions = {
     return text.substring(0, revealed) + '*'.repeat(text.length - revealed);
   },
 
+  /**
+   * Typed placeholder for a redacted value, showing only the start of its salted hash
+   */
+  redact: (label, hash) => `[${label}:${hash.substring(0, 4)}\u2026]`,
+
   /**
    * Calculate engagement rate
    */
@@ -434,5 +531,14 @@ export default {
   ALERT_SEVERITIES,
   MONITORING_KEYWORDS,
   ACTION_TEMPLATES,
+  DETECTION_RULES_URL,
+  OCR_CONFIG,
+  ATTACHMENT_LIMITS,
+  FINGERPRINT_CONFIG,
+  EDM_CONFIG,
+  REDACTION_CONFIG,
+  CLUSTERING_CONFIG,
+  BATCH_CONFIG,
+  CONNECTOR_CONFIG,
   UtilityFunctions,
 };
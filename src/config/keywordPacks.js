@@ -0,0 +1,97 @@
+/**
+ * Keyword Packs
+ * Translations of the monitored keywords, applied when a post is identified as being in
+ * that language (see services/text/LanguageIdentifier). Each pack maps an English keyword
+ * from monitoredKeywords or MONITORING_KEYWORDS to its translations, so hits keep the
+ * English keyword's categories. A trailing `*` matches any ending ("парол*" matches
+ * пароль, пароли, паролей), for inflected languages.
+ */
+
+export const KEYWORD_PACKS = {
+  es: {
+    name: 'Spanish',
+    keywords: {
+      credentials: ['credenciales'],
+      'API key': ['clave API', 'clave de API', 'llave API'],
+      password: ['contraseña', 'contraseñas', 'clave de acceso'],
+      secret: ['secreto', 'secretos'],
+      database: ['base de datos', 'bases de datos'],
+      schema: ['esquema'],
+      'employee records': ['registros de empleados', 'datos de empleados'],
+      'customer data': ['datos de clientes', 'base de clientes'],
+      confidential: ['confidencial', 'confidenciales'],
+      proprietary: ['propietario', 'propietaria'],
+      'source code': ['código fuente'],
+      vulnerability: ['vulnerabilidad', 'vulnerabilidades'],
+      breach: ['brecha', 'filtración'],
+      'data breach': ['filtración de datos', 'brecha de datos', 'fuga de datos'],
+      'leaked credentials': ['credenciales filtradas'],
+      'security vulnerability': ['vulnerabilidad de seguridad'],
+      'database schema': ['esquema de base de datos'],
+      'secret token': ['token secreto'],
+      employee: ['empleado', 'empleados'],
+      hiring: ['contratación', 'contrataciones'],
+      fired: ['despedido', 'despedidos', 'despidos'],
+      backdoor: ['puerta trasera'],
+      attack: ['ataque', 'ataques'],
+    },
+  },
+  pt: {
+    name: 'Portuguese',
+    keywords: {
+      credentials: ['credenciais'],
+      'API key': ['chave de API', 'chave API'],
+      password: ['senha', 'senhas'],
+      secret: ['segredo', 'segredos'],
+      database: ['banco de dados', 'base de dados'],
+      schema: ['esquema'],
+      'employee records': ['registros de funcionários', 'dados de funcionários'],
+      'customer data': ['dados de clientes', 'base de clientes'],
+      confidential: ['confidencial', 'confidenciais'],
+      proprietary: ['proprietário', 'proprietária'],
+      'source code': ['código-fonte', 'código fonte'],
+      vulnerability: ['vulnerabilidade', 'vulnerabilidades'],
+      breach: ['violação', 'vazamento'],
+      'data breach': ['vazamento de dados', 'violação de dados'],
+      'leaked credentials': ['credenciais vazadas'],
+      'security vulnerability': ['vulnerabilidade de segurança'],
+      'database schema': ['esquema do banco de dados'],
+      'secret token': ['token secreto'],
+      employee: ['funcionário', 'funcionários'],
+      staff: ['equipe'],
+      hiring: ['contratação', 'contratações'],
+      fired: ['demitido', 'demitidos', 'demissões'],
+      backdoor: ['porta dos fundos'],
+      attack: ['ataque', 'ataques'],
+    },
+  },
+  ru: {
+    name: 'Russian',
+    keywords: {
+      credentials: ['учетные данные', 'учетных данных', 'учетк*'],
+      'API key': ['API ключ', 'ключ API', 'апи ключ'],
+      password: ['парол*'],
+      secret: ['секрет*'],
+      token: ['токен*'],
+      database: ['база данных', 'базы данных', 'базу данных', 'базой данных', 'БД'],
+      'employee records': ['данные сотрудников'],
+      'customer data': ['данные клиентов', 'база клиентов', 'клиентская база', 'клиентскую базу'],
+      confidential: ['конфиденциальн*'],
+      proprietary: ['проприетарн*'],
+      'source code': ['исходный код', 'исходного кода', 'исходник*'],
+      vulnerability: ['уязвимост*'],
+      exploit: ['эксплоит*', 'сплоит*'],
+      breach: ['утечк*', 'слив', 'сливы', 'слили', 'слитые'],
+      'data breach': ['утечка данных', 'утечку данных'],
+      'database schema': ['схема базы данных', 'схему базы данных'],
+      employee: ['сотрудник*'],
+      staff: ['персонал*'],
+      hiring: ['найм'],
+      fired: ['уволен*', 'увольнени*'],
+      backdoor: ['бэкдор*', 'бекдор*'],
+      attack: ['атак*'],
+    },
+  },
+};
+
+export default KEYWORD_PACKS;
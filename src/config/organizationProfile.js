@@ -0,0 +1,25 @@
+/**
+ * Organization Profile
+ * Assets we own, used to tell our exposures apart from everyone else's.
+ * Replace the sample values with the organization's real inventory.
+ */
+
+export const ORGANIZATION_PROFILE = {
+  name: 'TechCorp',
+  // Public domains (subdomains match too)
+  domains: ['techcorp.com', 'techcorp.io'],
+  // Domains used for employee email addresses
+  emailDomains: ['techcorp.com', 'corp.techcorp.com'],
+  // Public and internal IPv4 ranges in CIDR notation
+  cidrRanges: ['203.0.113.0/24', '10.20.0.0/16'],
+  // Internal hostnames; a leading `*.` matches any subdomain
+  internalHostnames: ['*.corp.techcorp.internal', 'jenkins.techcorp.internal', 'db-prod-01'],
+  // Unreleased product and project codenames
+  productCodenames: ['Project Falcon', 'Bluebird'],
+  // Executives whose names in a leak point at us
+  executives: ['Jane Doe', 'Richard Roe'],
+  // Known prefixes of our credential ids (AWS key ids, Stripe accounts, ...)
+  keyPrefixes: ['AKIA2TECHCORP', 'sk_live_51TechCorp'],
+};
+
+export default ORGANIZATION_PROFILE;
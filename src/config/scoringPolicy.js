@@ -0,0 +1,58 @@
+/**
+ * Scoring Policy
+ * Default weights and thresholds for post risk scoring (DataLeakDetectionService) and
+ * threat scoring (AnalyticsEngine). Edited copies are versioned by ScoringPolicyStore;
+ * every analysis records the version that scored it.
+ */
+
+export const DEFAULT_SCORING_POLICY = {
+  version: 1,
+  updatedAt: null,
+  updatedBy: null,
+  risk: {
+    // Points per finding type by its severity
+    severityPoints: { critical: 40, high: 25, medium: 15, low: 0 },
+    // Per finding type that matches one of our assets, up to the cap
+    ownedAssetPoints: 10,
+    ownedAssetCap: 20,
+    // Per keyword hit (advice and negation hits excluded), up to the cap
+    keywordPoints: 5,
+    keywordCap: 30,
+    // Per exposed data type
+    dataTypePoints: 8,
+    // Added for the intent of the post (see text/IntentClassifier)
+    intentAdjustments: {
+      offer: 25,
+      disclosure: 10,
+      neutral: 0,
+      question: -5,
+      news: -10,
+      negation: -20,
+      advice: -20,
+    },
+    // Lowest score for each level; anything below medium is low
+    thresholds: { critical: 70, high: 50, medium: 30 },
+  },
+  threat: {
+    // Base points by risk level
+    riskLevelPoints: { critical: 40, high: 30, medium: 20, low: 10 },
+    // Per 1000 engagements (viral potential), up to the cap
+    engagementPoints: 20,
+    engagementCap: 20,
+    // Score multiplier by platform reach
+    platformFactors: {
+      github: 1.5, // Higher for code/technical repositories
+      twitter: 1.3, // High viral potential
+      reddit: 1.2, // Moderate reach
+      linkedin: 1.1, // Professional reach
+      darkweb: 2.0, // Most dangerous
+      facebook: 1.0,
+      instagram: 0.8,
+    },
+    // Added when the exposed data type is one of these
+    sensitiveDataTypes: ['API Keys', 'Customer Records', 'Financial Data', 'Database Schema'],
+    sensitiveDataPoints: 15,
+  },
+};
+
+export default DEFAULT_SCORING_POLICY;
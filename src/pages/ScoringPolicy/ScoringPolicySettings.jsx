@@ -0,0 +1,263 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import {
+  Box,
+  Container,
+  Grid,
+  Card,
+  CardContent,
+  CardHeader,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Button,
+  Alert,
+} from '@mui/material';
+import ScoringPolicyStore from '../../services/ScoringPolicyStore';
+
+// Editable copy of the weights of a policy
+const toDraft = (policy) =>
+  JSON.parse(JSON.stringify({ risk: policy.risk, threat: policy.threat }));
+
+// Weights to save from a draft; the data type list keeps empty entries while being typed
+const fromDraft = (draft) => ({
+  ...draft,
+  threat: {
+    ...draft.threat,
+    sensitiveDataTypes: draft.threat.sensitiveDataTypes.filter(Boolean),
+  },
+});
+
+const NumberFields = ({ title, values, onChange, step = 1 }) => (
+  <Box sx={{ mb: 2 }}>
+    <span style={{ fontWeight: 'bold', color: '#2c3e50' }}>{title}</span>
+    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mt: 1 }}>
+      {Object.entries(values).map(([key, value]) => (
+        <TextField
+          key={key}
+          label={key}
+          type="number"
+          size="small"
+          value={value}
+          inputProps={{ step }}
+          onChange={(e) => onChange(key, e.target.value === '' ? '' : Number(e.target.value))}
+          sx={{ width: 140 }}
+        />
+      ))}
+    </Box>
+  </Box>
+);
+
+NumberFields.propTypes = {
+  title: PropTypes.string.isRequired,
+  values: PropTypes.objectOf(PropTypes.oneOfType([PropTypes.number, PropTypes.string])).isRequired,
+  onChange: PropTypes.func.isRequired,
+  step: PropTypes.number,
+};
+
+const ScoringPolicySettings = () => {
+  // Same storage as the monitoring dashboard, which picks up the new version on its next load
+  const [store] = useState(
+    () => new ScoringPolicyStore(undefined, { storage: window.localStorage })
+  );
+  const [current, setCurrent] = useState(() => store.get());
+  const [draft, setDraft] = useState(() => toDraft(store.get()));
+  const [errors, setErrors] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  // Set draft[section][key][field], e.g. risk.thresholds.high
+  const updateDraft = (section, key) => (field, value) => {
+    setDraft((previous) => {
+      const next = toDraft(previous);
+      next[section][key][field] = value;
+      return next;
+    });
+  };
+  const updateValue = (section) => (key, value) => {
+    setDraft((previous) => {
+      const next = toDraft(previous);
+      next[section][key] = value;
+      return next;
+    });
+  };
+
+  const applyResult = (save) => {
+    try {
+      const policy = save();
+      setCurrent(policy);
+      setDraft(toDraft(policy));
+      setErrors([]);
+      setMessage(`Saved as version ${policy.version}`);
+    } catch (error) {
+      setErrors(error.errors || [error.message]);
+      setMessage(null);
+    }
+  };
+
+  const handleSave = () => applyResult(() => store.update(fromDraft(draft)));
+  const handleReset = () => applyResult(() => store.reset());
+  const handleDiscard = () => {
+    setDraft(toDraft(current));
+    setErrors([]);
+  };
+
+  const { risk, threat } = draft;
+
+  return (
+    <Box sx={{ backgroundColor: '#f8f9fa', minHeight: '100vh', py: 4 }}>
+      <Container maxWidth="xl">
+        <Box sx={{ mb: 4 }}>
+          <h1 style={{ color: '#2c3e50', marginBottom: '8px' }}>Scoring Policy</h1>
+          <p style={{ color: '#7f8c8d', fontSize: '1.1em' }}>
+            Weights and thresholds for post risk and threat scores. Every save creates a new
+            version; analyses record the version that scored them. Current version:{' '}
+            <strong>{current.version}</strong>
+          </p>
+        </Box>
+
+        {store.skipped.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Some saved versions are no longer valid and were ignored:
+            {store.skipped.map(({ version, errors: versionErrors }) => (
+              <div key={version}>
+                {version ? `Version ${version}` : 'Saved versions'}: {versionErrors.join('; ')}
+              </div>
+            ))}
+          </Alert>
+        )}
+        {errors.length > 0 && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {errors.map((error) => (
+              <div key={error}>{error}</div>
+            ))}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {message}
+          </Alert>
+        )}
+
+        <Grid container spacing={3} sx={{ mb: 4 }}>
+          <Grid item xs={12} md={6}>
+            <Card>
+              <CardHeader title="Post Risk Score" />
+              <CardContent>
+                <NumberFields
+                  title="Points per finding type, by severity"
+                  values={risk.severityPoints}
+                  onChange={updateDraft('risk', 'severityPoints')}
+                />
+                <NumberFields
+                  title="Owned assets, keywords and data types"
+                  values={{
+                    ownedAssetPoints: risk.ownedAssetPoints,
+                    ownedAssetCap: risk.ownedAssetCap,
+                    keywordPoints: risk.keywordPoints,
+                    keywordCap: risk.keywordCap,
+                    dataTypePoints: risk.dataTypePoints,
+                  }}
+                  onChange={updateValue('risk')}
+                />
+                <NumberFields
+                  title="Intent adjustments"
+                  values={risk.intentAdjustments}
+                  onChange={updateDraft('risk', 'intentAdjustments')}
+                />
+                <NumberFields
+                  title="Risk level thresholds (lowest score)"
+                  values={risk.thresholds}
+                  onChange={updateDraft('risk', 'thresholds')}
+                />
+              </CardContent>
+            </Card>
+          </Grid>
+
+          <Grid item xs={12} md={6}>
+            <Card>
+              <CardHeader title="Threat Score" />
+              <CardContent>
+                <NumberFields
+                  title="Base points by risk level"
+                  values={threat.riskLevelPoints}
+                  onChange={updateDraft('threat', 'riskLevelPoints')}
+                />
+                <NumberFields
+                  title="Engagement (points per 1000) and sensitive data"
+                  values={{
+                    engagementPoints: threat.engagementPoints,
+                    engagementCap: threat.engagementCap,
+                    sensitiveDataPoints: threat.sensitiveDataPoints,
+                  }}
+                  onChange={updateValue('threat')}
+                />
+                <NumberFields
+                  title="Platform reach factors"
+                  values={threat.platformFactors}
+                  onChange={updateDraft('threat', 'platformFactors')}
+                  step={0.1}
+                />
+                <TextField
+                  label="Sensitive data types (comma separated)"
+                  size="small"
+                  fullWidth
+                  value={threat.sensitiveDataTypes.join(', ')}
+                  onChange={(e) =>
+                    updateValue('threat')(
+                      'sensitiveDataTypes',
+                      e.target.value.split(',').map((type) => type.trim())
+                    )
+                  }
+                />
+              </CardContent>
+            </Card>
+          </Grid>
+        </Grid>
+
+        <Box sx={{ display: 'flex', gap: 2, mb: 4 }}>
+          <Button variant="contained" onClick={handleSave}>
+            Save New Version
+          </Button>
+          <Button onClick={handleDiscard}>Discard Changes</Button>
+          <Button color="error" onClick={handleReset}>
+            Reset to Defaults
+          </Button>
+        </Box>
+
+        <Card>
+          <CardHeader title="Version History" />
+          <CardContent>
+            <TableContainer>
+              <Table>
+                <TableHead>
+                  <TableRow style={{ backgroundColor: '#f5f5f5' }}>
+                    <TableCell>Version</TableCell>
+                    <TableCell>Updated</TableCell>
+                    <TableCell>Updated By</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {[...store.list()].reverse().map((policy) => (
+                    <TableRow key={policy.version}>
+                      <TableCell>{policy.version}</TableCell>
+                      <TableCell>
+                        {policy.updatedAt ? new Date(policy.updatedAt).toLocaleString() : 'Default'}
+                      </TableCell>
+                      <TableCell>{policy.updatedBy || '-'}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </CardContent>
+        </Card>
+      </Container>
+    </Box>
+  );
+};
+
+export default ScoringPolicySettings;
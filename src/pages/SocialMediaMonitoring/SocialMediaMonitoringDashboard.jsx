@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   Box,
   Container,
@@ -49,7 +49,30 @@ import {
 } from 'lucide-react';
 import SocialMediaMonitoringService from '../../services/SocialMediaMonitoringService';
 import DataLeakDetectionService from '../../services/DataLeakDetectionService';
+import SuppressionStore from '../../services/SuppressionStore';
+import EvidenceVault from '../../services/EvidenceVault';
+import Redactor from '../../services/Redactor';
+import LeakClusteringService from '../../services/LeakClusteringService';
+import ScoringPolicyStore from '../../services/ScoringPolicyStore';
 import AnalyticsEngine from '../../services/AnalyticsEngine';
+import BatchDetectionService from '../../services/BatchDetectionService';
+import PostMediaAnalysisService from '../../services/PostMediaAnalysisService';
+import createDetectionWorker from '../../services/batch/createDetectionWorker';
+
+// How the posts of an incident were tied together (see LeakClusteringService)
+const INCIDENT_LINKS = { secret: 'the same secret', url: 'a shared link', text: 'near-duplicate text' };
+
+// A finding's value: the salted hash of redacted matches, else the match itself
+const findingKey = (finding) => `${finding.detector}:${finding.matchHash || finding.match}`;
+
+// Distinct findings across the posts of an incident
+const incidentFindings = (incident) => [
+  ...new Map(
+    incident.members
+      .flatMap((analysis) => analysis.suspiciousElements.flatMap((element) => element.findings))
+      .map((finding) => [findingKey(finding), finding])
+  ).values(),
+];
 
 const SocialMediaMonitoringDashboard = () => {
   const [threats, setThreats] = useState([]);
@@ -60,18 +83,42 @@ const SocialMediaMonitoringDashboard = () => {
   const [selectedThreat, setSelectedThreat] = useState(null);
   const [dialogOpen, setDialogOpen] = useState(false);
   const [filterStatus, setFilterStatus] = useState('all');
+  const [analysisProgress, setAnalysisProgress] = useState(null);
+  const [reveal, setReveal] = useState({ revealedBy: '', reason: '', values: {}, error: null });
+  const [falsePositives, setFalsePositives] = useState({});
+  const leakDetectionServiceRef = useRef(null);
 
   useEffect(() => {
-    // Initialize with sample data
-    initializeDashboard();
+    // Initialize with sample data; stop analyzing if the page is left
+    const controller = new AbortController();
+    initializeDashboard(controller.signal);
+    return () => controller.abort();
   }, []);
 
-  const initializeDashboard = async () => {
+  const initializeDashboard = async (signal) => {
     try {
       // Initialize services
       const monitoringService = new SocialMediaMonitoringService();
-      const leakDetectionService = new DataLeakDetectionService();
-      const analyticsEngine = new AnalyticsEngine();
+      // Suppressions added from the dashboard persist across reloads
+      // Both services score with the policy edited on the Scoring Policy page
+      const policyStore = new ScoringPolicyStore(undefined, { storage: window.localStorage });
+      const leakDetectionService = new DataLeakDetectionService({
+        suppressionStore: new SuppressionStore(undefined, { storage: window.localStorage }),
+        policyStore,
+        // Reveals of redacted values are logged across reloads
+        evidenceVault: new EvidenceVault({ storage: window.localStorage }),
+        // Without a configured salt, this browser keeps the one it generates
+        redactor: new Redactor(undefined, { storage: window.localStorage }),
+      });
+      leakDetectionServiceRef.current = leakDetectionService;
+      const analyticsEngine = new AnalyticsEngine({ policyStore });
+
+      // Organization-specific detection rules; keep monitoring with the built-in detectors if they fail
+      try {
+        await leakDetectionService.loadDetectionRulesFromUrl();
+      } catch (error) {
+        console.error('Error loading detection rules:', error);
+      }
 
       // Start monitoring for common data leak keywords
       const keywords = ['API key', 'password', 'database', 'credentials', 'token'];
@@ -80,46 +127,63 @@ const SocialMediaMonitoringDashboard = () => {
       // Search across all platforms
       const searchResults = await monitoringService.searchPlatforms('data breach');
 
-      // Process threats from search results
-      const processedThreats = [];
-      Object.entries(searchResults.platforms).forEach(([platform, results]) => {
-        if (results.posts) {
-          results.posts.forEach((post, idx) => {
-            // Analyze each post for data leaks
-            const analysis = leakDetectionService.analyzeSocialMediaContent(post.content || post.title || '');
-            processedThreats.push({
-              id: processedThreats.length + 1,
-              platform: platform.charAt(0).toUpperCase() + platform.slice(1),
-              username: post.author || post.seller || 'Unknown',
-              content: (post.content || post.title || '').substring(0, 100) + '...',
-              riskLevel: analysis.riskLevel,
-              dataType: analysis.exposedDataTypes[0] || 'Unknown',
-              dateDetected: new Date().toISOString().split('T')[0],
-              sentiment: post.sentiment || 'neutral',
-              engagement: post.engagement || post.upvotes || post.likes || post.reactions || 0,
-              fullAnalysis: analysis,
-            });
-          });
-        }
+      // Analyze every post for data leaks in Web Workers, keeping the UI responsive
+      const posts = Object.values(searchResults.platforms).flatMap((results) => results.posts);
+      const batchDetection = new BatchDetectionService(leakDetectionService, {
+        createWorker: createDetectionWorker,
       });
+      // Attached media are analyzed on this thread once their post's text is
+      const mediaAnalysis = new PostMediaAnalysisService(leakDetectionService);
 
-      // Get leak detections aggregated by type
-      const leaksByType = {};
-      processedThreats.forEach((threat) => {
-        const dataType = threat.dataType;
-        if (!leaksByType[dataType]) {
-          leaksByType[dataType] = { type: dataType, count: 0, severity: threat.riskLevel, platforms: new Set() };
+      const analyses = [];
+      const postsByAnalysis = new Map();
+      try {
+        for await (const { post, analysis: textAnalysis } of batchDetection.analyzeBatch(posts, {
+          signal,
+          onProgress: setAnalysisProgress,
+        })) {
+          const analysis = await mediaAnalysis.analyzePost(post, textAnalysis);
+          analyses.push(analysis);
+          postsByAnalysis.set(analysis, post);
         }
-        leaksByType[dataType].count += 1;
-        leaksByType[dataType].platforms.add(threat.platform);
+      } finally {
+        await mediaAnalysis.terminate();
+      }
+      setAnalysisProgress(null);
+
+      // Reposts of the same leak across platforms become one incident, listed as one threat
+      const incidents = new LeakClusteringService().cluster(analyses);
+      const formatPlatform = (platform) => platform.charAt(0).toUpperCase() + platform.slice(1);
+      const processedThreats = incidents.map((incident, idx) => {
+        const post = postsByAnalysis.get(incident.firstSeen);
+        // The riskiest post explains the incident's risk level
+        const riskiest = incident.members.reduce((best, analysis) =>
+          analysis.riskExplanation.score > best.riskExplanation.score ? analysis : best
+        );
+        return {
+          id: idx + 1,
+          platform: formatPlatform(post.platform),
+          platforms: incident.platforms.map(formatPlatform),
+          username: post.author.handle || 'Unknown',
+          content: incident.firstSeen.originalContent.substring(0, 100) + '...',
+          riskLevel: incident.riskLevel,
+          dataType: incident.dataExposed[0] || 'Unknown',
+          dateDetected: new Date(post.createdAt).toISOString().split('T')[0],
+          sentiment: post.sentiment || 'neutral',
+          engagement: incident.members.reduce((sum, analysis) => sum + postsByAnalysis.get(analysis).engagement.total, 0),
+          postCount: incident.members.length,
+          incident,
+          fullAnalysis: riskiest,
+        };
       });
 
-      const leakDetections = Object.values(leaksByType).map((leak, idx) => ({
+      // Get leak detections aggregated by type, counting incidents rather than reposts
+      const leakDetections = leakDetectionService.aggregateLeaksByType(incidents).map((leak, idx) => ({
         id: idx + 1,
         type: leak.type,
-        count: leak.count,
+        count: leak.instances,
         severity: leak.severity,
-        source: Array.from(leak.platforms).join(', '),
+        source: leak.platforms.map(formatPlatform).join(', '),
       }));
 
       // Generate analytics report
@@ -158,6 +222,8 @@ const SocialMediaMonitoringDashboard = () => {
         { name: 'Reddit', value: 18, color: '#FF4500' },
       ]);
     } catch (error) {
+      // The page was left while posts were being analyzed
+      if (error.name === 'AbortError') return;
       console.error('Error initializing dashboard:', error);
       // Fall back to sample data on error
       setThreats([]);
@@ -183,11 +249,48 @@ const SocialMediaMonitoringDashboard = () => {
     return <Info size={20} />;
   };
 
+  // Total score and the risk threshold it crossed, e.g. "Total 75 points (CRITICAL at 70+)"
+  const describeRiskScore = ({ score, threshold, nextThreshold }) =>
+    threshold.min !== null
+      ? `Total ${score} points (${threshold.level.toUpperCase()} at ${threshold.min}+)`
+      : `Total ${score} points (below ${nextThreshold.level.toUpperCase()} at ${nextThreshold.min})`;
+
   const handleThreatClick = (threat) => {
     setSelectedThreat(threat);
+    setReveal((previous) => ({ ...previous, reason: '', values: {}, error: null }));
     setDialogOpen(true);
   };
 
+  const handleReveal = async (redaction) => {
+    try {
+      const value = await leakDetectionServiceRef.current.evidenceVault.reveal(redaction.hash, {
+        revealedBy: reveal.revealedBy,
+        reason: reveal.reason,
+      });
+      setReveal((previous) => ({
+        ...previous,
+        values: { ...previous.values, [redaction.hash]: value },
+        error: null,
+      }));
+    } catch (error) {
+      setReveal((previous) => ({ ...previous, error: error.message }));
+    }
+  };
+
+  // Suppression only covers the one value the analyst picked; the threat goes once all of
+  // its findings are marked
+  const handleMarkFalsePositive = (finding) => {
+    leakDetectionServiceRef.current.markAsFalsePositive(finding, {
+      reason: `Marked as false positive from the dashboard (${selectedThreat.platform} @${selectedThreat.username})`,
+    });
+    const marked = { ...falsePositives, [findingKey(finding)]: true };
+    setFalsePositives(marked);
+    if (incidentFindings(selectedThreat.incident).every((other) => marked[findingKey(other)])) {
+      setThreats(threats.filter((threat) => threat.id !== selectedThreat.id));
+      setDialogOpen(false);
+    }
+  };
+
   const filteredThreats = threats.filter((threat) => {
     const matchesSearch =
       threat.username.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -219,6 +322,24 @@ const SocialMediaMonitoringDashboard = () => {
           <p style={{ color: '#7f8c8d', margin: 0 }}>
             Real-time detection of data leaks and security threats across social platforms
           </p>
+          {analysisProgress && (
+            <Box sx={{ mt: 2 }}>
+              <p style={{ color: '#7f8c8d', margin: '0 0 4px 0', fontSize: '0.9em' }}>
+                Analyzing posts: {analysisProgress.completed + analysisProgress.failed} of{' '}
+                {analysisProgress.total ?? analysisProgress.submitted}
+              </p>
+              <LinearProgress
+                variant={analysisProgress.total ? 'determinate' : 'indeterminate'}
+                value={
+                  analysisProgress.total
+                    ? ((analysisProgress.completed + analysisProgress.failed) /
+                        analysisProgress.total) *
+                      100
+                    : 0
+                }
+              />
+            </Box>
+          )}
         </Box>
 
         {/* KPI Cards */}
@@ -452,6 +573,11 @@ const SocialMediaMonitoringDashboard = () => {
                           <span style={{ fontSize: '0.85em', color: '#7f8c8d' }}>
                             Engagement: {threat.engagement}
                           </span>
+                          {threat.postCount > 1 && (
+                            <span style={{ fontSize: '0.85em', color: '#7f8c8d' }}>
+                              Reposted: {threat.postCount} posts on {threat.platforms.join(', ')}
+                            </span>
+                          )}
                           <span style={{ fontSize: '0.85em', color: '#7f8c8d' }}>
                             Detected: {threat.dateDetected}
                           </span>
@@ -483,6 +609,101 @@ const SocialMediaMonitoringDashboard = () => {
                     &quot;{selectedThreat.content}&quot;
                   </p>
                 </Box>
+                {selectedThreat.postCount > 1 && (
+                  <Box>
+                    <span style={{ fontWeight: 'bold', color: '#2c3e50' }}>Spread Timeline:</span>
+                    <List dense disablePadding>
+                      {selectedThreat.incident.timeline.map((entry, idx) => (
+                        <ListItem key={idx} disableGutters>
+                          <ListItemText
+                            primary={`${entry.platform} @${entry.username || 'Unknown'}${idx === 0 ? ' (first seen)' : ''}`}
+                            secondary={entry.timestamp ? new Date(entry.timestamp).toLocaleString() : 'Unknown time'}
+                          />
+                        </ListItem>
+                      ))}
+                    </List>
+                    <span style={{ fontSize: '0.9em', color: '#7f8c8d' }}>
+                      Grouped by {selectedThreat.incident.linkedBy.map((link) => INCIDENT_LINKS[link]).join(', ')}
+                    </span>
+                  </Box>
+                )}
+                {selectedThreat.incident.redactions.length > 0 && (
+                  <Box>
+                    <span style={{ fontWeight: 'bold', color: '#2c3e50' }}>Redacted Evidence:</span>
+                    <p style={{ fontSize: '0.9em', color: '#7f8c8d', margin: '4px 0' }}>
+                      Values are stored encrypted. Every reveal is logged with your name and reason.
+                    </p>
+                    <Box sx={{ display: 'flex', gap: 1, my: 1 }}>
+                      <TextField
+                        size="small"
+                        label="Your name"
+                        value={reveal.revealedBy}
+                        onChange={(e) => setReveal({ ...reveal, revealedBy: e.target.value })}
+                      />
+                      <TextField
+                        size="small"
+                        label="Reason"
+                        fullWidth
+                        value={reveal.reason}
+                        onChange={(e) => setReveal({ ...reveal, reason: e.target.value })}
+                      />
+                    </Box>
+                    <List dense disablePadding>
+                      {selectedThreat.incident.redactions.map((redaction) => (
+                        <ListItem
+                          key={redaction.hash}
+                          disableGutters
+                          secondaryAction={
+                            <Button
+                              size="small"
+                              onClick={() => handleReveal(redaction)}
+                              disabled={
+                                !reveal.revealedBy || !reveal.reason || redaction.hash in reveal.values
+                              }
+                            >
+                              Reveal
+                            </Button>
+                          }
+                        >
+                          <ListItemText
+                            primary={reveal.values[redaction.hash] || redaction.placeholder}
+                            secondary={redaction.detector}
+                            primaryTypographyProps={{ sx: { fontFamily: 'monospace', wordBreak: 'break-all' } }}
+                          />
+                        </ListItem>
+                      ))}
+                    </List>
+                    {reveal.error && <span style={{ fontSize: '0.9em', color: '#e74c3c' }}>{reveal.error}</span>}
+                  </Box>
+                )}
+                {incidentFindings(selectedThreat.incident).length > 0 && (
+                  <Box>
+                    <span style={{ fontWeight: 'bold', color: '#2c3e50' }}>Findings:</span>
+                    <List dense disablePadding>
+                      {incidentFindings(selectedThreat.incident).map((finding) => (
+                        <ListItem
+                          key={findingKey(finding)}
+                          disableGutters
+                          secondaryAction={
+                            <Button
+                              size="small"
+                              onClick={() => handleMarkFalsePositive(finding)}
+                              disabled={Boolean(falsePositives[findingKey(finding)])}
+                            >
+                              {falsePositives[findingKey(finding)] ? 'Marked' : 'False Positive'}
+                            </Button>
+                          }
+                        >
+                          <ListItemText
+                            primary={finding.match}
+                            secondary={finding.type}
+                            primaryTypographyProps={{ sx: { fontFamily: 'monospace', wordBreak: 'break-all' } }}
+                          />
+                        </ListItem>
+                      ))}
+                    </List>
+                  </Box>
+                )}
                 <Box>
                   <span style={{ fontWeight: 'bold', color: '#2c3e50' }}>Data Type Exposed:</span>
                   <span style={{ marginLeft: '8px' }}>{selectedThreat.dataType}</span>
@@ -507,6 +728,30 @@ const SocialMediaMonitoringDashboard = () => {
                     </span>
                   </Box>
                 </Box>
+                {selectedThreat.fullAnalysis.riskExplanation && (
+                  <Box>
+                    <span style={{ fontWeight: 'bold', color: '#2c3e50' }}>Why this score:</span>
+                    <List dense disablePadding>
+                      {selectedThreat.fullAnalysis.riskExplanation.factors.map((factor, idx) => (
+                        <ListItem
+                          key={idx}
+                          disableGutters
+                          secondaryAction={
+                            <span style={{ fontWeight: 'bold', color: factor.points < 0 ? '#27ae60' : '#2c3e50' }}>
+                              {factor.points > 0 ? '+' : ''}
+                              {factor.points}
+                            </span>
+                          }
+                        >
+                          <ListItemText primary={factor.label} secondary={factor.detail} />
+                        </ListItem>
+                      ))}
+                    </List>
+                    <span style={{ fontSize: '0.9em', color: '#7f8c8d' }}>
+                      {describeRiskScore(selectedThreat.fullAnalysis.riskExplanation)}
+                    </span>
+                  </Box>
+                )}
                 <Box>
                   <span style={{ fontWeight: 'bold', color: '#2c3e50' }}>Engagement Metrics:</span>
                   <Box sx={{ mt: 1, display: 'flex', gap: 2 }}>
@@ -45,6 +45,7 @@ import Profile from "layouts/profile";
 import SignIn from "layouts/authentication/sign-in";
 import SignUp from "layouts/authentication/sign-up";
 import SocialMediaMonitoringDashboard from "pages/SocialMediaMonitoring/SocialMediaMonitoringDashboard";
+import ScoringPolicySettings from "pages/ScoringPolicy/ScoringPolicySettings";
 
 // Soft UI Dashboard React icons
 import Shop from "examples/Icons/Shop";
@@ -102,6 +103,15 @@ const routes = [
     component: <SocialMediaMonitoringDashboard />,
     noCollapse: true,
   },
+  {
+    type: "collapse",
+    name: "Scoring Policy",
+    key: "scoring-policy",
+    route: "/scoring-policy",
+    icon: <Settings size="12px" />,
+    component: <ScoringPolicySettings />,
+    noCollapse: true,
+  },
   {
     type: "collapse",
     name: "RTL",
@@ -3,8 +3,10 @@
  * Processes threat data and generates intelligence reports
  */
 
+import ScoringPolicyStore from './ScoringPolicyStore';
+
 class AnalyticsEngine {
-  constructor() {
+  constructor(options = {}) {
     this.threatDatabase = [];
     this.reportCache = new Map();
     this.metrics = {
@@ -12,44 +14,34 @@ class AnalyticsEngine {
       averageResponseTime: 0,
       detectionAccuracy: 0,
     };
+    // Weights for threat scoring, shared with DataLeakDetectionService
+    this.policyStore = options.policyStore || new ScoringPolicyStore();
   }
 
   /**
-   * Calculate threat severity score (0-100)
+   * Calculate threat severity score (0-100) with the current scoring policy unless given one
    */
-  calculateThreatScore(threat) {
+  calculateThreatScore(threat, policy = this.policyStore.get()) {
+    const weights = policy.threat;
     let score = 0;
 
     // Risk level base score
-    const riskScores = { critical: 40, high: 30, medium: 20, low: 10 };
-    score += riskScores[threat.riskLevel] || 0;
+    score += weights.riskLevelPoints[threat.riskLevel] || 0;
 
     // Engagement multiplier (viral potential)
-    const engagementScore = Math.min((threat.engagement / 1000) * 20, 20);
+    const engagementScore = Math.min(
+      (threat.engagement / 1000) * weights.engagementPoints,
+      weights.engagementCap
+    );
     score += engagementScore;
 
     // Platform reach factor
-    const platformReachFactors = {
-      github: 1.5, // Higher for code/technical repositories
-      twitter: 1.3, // High viral potential
-      reddit: 1.2, // Moderate reach
-      linkedin: 1.1, // Professional reach
-      darkweb: 2.0, // Most dangerous
-      facebook: 1.0,
-      instagram: 0.8,
-    };
-    const platformFactor = platformReachFactors[threat.platform.toLowerCase()] || 1.0;
+    const platformFactor = weights.platformFactors[threat.platform.toLowerCase()] || 1.0;
     score = score * platformFactor;
 
     // Data sensitivity multiplier
-    const sensitiveDataTypes = [
-      'API Keys',
-      'Customer Records',
-      'Financial Data',
-      'Database Schema',
-    ];
-    if (threat.dataType && sensitiveDataTypes.some((dt) => threat.dataType.includes(dt))) {
-      score += 15;
+    if (threat.dataType && weights.sensitiveDataTypes.some((dt) => threat.dataType.includes(dt))) {
+      score += weights.sensitiveDataPoints;
     }
 
     return Math.min(Math.round(score), 100);
@@ -180,6 +172,7 @@ class AnalyticsEngine {
       reportId,
       generatedAt: new Date(),
       timeframe,
+      policyVersion: this.policyStore.get().version,
       summary: {
         totalThreats: threats.length,
         criticalCount: threats.filter((t) => t.riskLevel === 'critical').length,
@@ -0,0 +1,132 @@
+/**
+ * Attachment Analysis Service
+ * Unpacks file attachments (archives, PDF, Office, CSV, text) and runs every extracted
+ * part through DataLeakDetectionService. Findings report the file they came from as
+ * `filePath`, relative to the attachment (e.g. `dump.zip/hr/salaries.xlsx`).
+ */
+
+import DataLeakDetectionService from './DataLeakDetectionService';
+import AttachmentExtractor from './attachments/AttachmentExtractor';
+
+/**
+ * Read attachment data (Uint8Array, ArrayBuffer, Blob/File or a URL) into bytes
+ */
+const readBytes = async (attachment) => {
+  const { data, url } = attachment;
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (data && typeof data.arrayBuffer === 'function') {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+  if (url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to download attachment ${url}: HTTP ${response.status}`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+  }
+  throw new Error('Attachment has no data or url');
+};
+
+class AttachmentAnalysisService {
+  constructor(options = {}) {
+    this.leakDetectionService = options.leakDetectionService || new DataLeakDetectionService();
+    // Optional ImageAnalysisService for OCR of images found inside attachments
+    this.imageAnalysisService = options.imageAnalysisService || null;
+    this.extractor = options.extractor || new AttachmentExtractor(options.limits);
+  }
+
+  /**
+   * Tag every finding and keyword occurrence of an analysis with the file it came from
+   */
+  withFilePath(analysis, filePath) {
+    const tag = (item) => ({ ...item, filePath });
+    return {
+      ...analysis,
+      filePath,
+      suspiciousElements: analysis.suspiciousElements.map((element) => ({
+        ...element,
+        findings: element.findings.map(tag),
+      })),
+      suppressedFindings: analysis.suppressedFindings.map(tag),
+      matchedKeywords: analysis.matchedKeywords.map((keyword) => ({
+        ...keyword,
+        occurrences: keyword.occurrences.map(tag),
+      })),
+    };
+  }
+
+  /**
+   * Analyze one attachment (`{ name, data | url }`)
+   */
+  async analyzeAttachment(attachment, platform, username, timestamp) {
+    const name = attachment.name || 'attachment';
+    const { parts, skipped } = this.extractor.extract(await readBytes(attachment), name);
+
+    const files = [];
+    for (const part of parts) {
+      let analysis = null;
+      if (part.type === 'image') {
+        if (this.imageAnalysisService) {
+          analysis = await this.imageAnalysisService.analyzeImage(
+            new Blob([part.bytes]),
+            platform,
+            username,
+            timestamp
+          );
+        } else {
+          skipped.push({ path: part.path, reason: 'image OCR is not configured' });
+        }
+      } else {
+        analysis = this.leakDetectionService.analyzeSocialMediaContent(
+          part.text,
+          platform,
+          username,
+          timestamp
+        );
+      }
+      if (analysis) {
+        files.push({
+          path: part.path,
+          type: part.type,
+          analysis: this.withFilePath(analysis, part.path),
+        });
+      }
+    }
+
+    const findings = files.flatMap((file) =>
+      file.analysis.suspiciousElements.flatMap((element) => element.findings)
+    );
+    return {
+      attachment: name,
+      platform,
+      username,
+      timestamp,
+      riskLevel: files.reduce(
+        (level, file) =>
+          this.leakDetectionService.determineSeverity(level, file.analysis.riskLevel),
+        'low'
+      ),
+      dataExposed: [...new Set(files.flatMap((file) => file.analysis.dataExposed))],
+      files,
+      findings,
+      skipped,
+    };
+  }
+
+  /**
+   * Analyze every file attachment of a post (`attachments: [{ type: 'file', name, url | data }]`)
+   */
+  async analyzePostAttachments(post, platform = post.platform) {
+    const attachments = (post.attachments || []).filter((attachment) => attachment.type === 'file');
+    const results = [];
+    for (const attachment of attachments) {
+      results.push(
+        await this.analyzeAttachment(attachment, platform, post.author.handle, post.createdAt)
+      );
+    }
+    return results;
+  }
+}
+
+export default AttachmentAnalysisService;
@@ -0,0 +1,140 @@
+/**
+ * Batch Detection Service
+ * Analyzes a stream of posts in a pool of Web Workers so large batches do not block
+ * the UI. Analyses are yielded as they finish (not in input order), with progress
+ * reported after each post; an AbortSignal stops reading posts and the workers.
+ *
+ *   const batch = new BatchDetectionService(leakDetectionService, { createWorker });
+ *   for await (const { post, analysis } of batch.analyzeBatch(posts, { signal, onProgress })) {
+ *     ...
+ *   }
+ */
+
+import { BATCH_CONFIG } from '../config/config';
+import { createDetectionHandler } from './batch/detectionWorkerHandler';
+import WorkerPool, { createInlineWorker } from './batch/WorkerPool';
+
+const defaultWorkerCount = () => {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(BATCH_CONFIG.maxWorkers, cores - 1));
+};
+
+// Older AbortSignal implementations have no `reason`
+const abortReason = (signal) =>
+  signal.reason || new DOMException('The batch was aborted', 'AbortError');
+
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) throw abortReason(signal);
+};
+
+// Rejects with the signal's reason once it aborts; never settles without a signal
+const whenAborted = (signal) => {
+  if (!signal) return { promise: new Promise(() => {}), cleanup: () => {} };
+  let onAbort;
+  const promise = new Promise((resolve, reject) => {
+    onAbort = () => reject(abortReason(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  // Only raced against other promises; an abort after the batch ends is not an error
+  promise.catch(() => {});
+  return { promise, cleanup: () => signal.removeEventListener('abort', onAbort) };
+};
+
+class BatchDetectionService {
+  /**
+   * `detectionService` is the configured DataLeakDetectionService; each worker gets a
+   * copy from its getSnapshot(). `createWorker` starts one worker (see
+   * batch/createDetectionWorker); without it posts are analyzed on this thread, one
+   * per macrotask.
+   */
+  constructor(detectionService, options = {}) {
+    this.detectionService = detectionService;
+    this.createWorker =
+      options.createWorker || (() => createInlineWorker(createDetectionHandler()));
+    this.workerCount = options.workerCount || (options.createWorker ? defaultWorkerCount() : 1);
+    this.postsPerWorker = options.postsPerWorker || BATCH_CONFIG.postsPerWorker;
+  }
+
+  /**
+   * Analyze posts from an array, iterable or async iterable. Yields `{ post, analysis }`
+   * as each post finishes and calls `onProgress({ total, submitted, completed, failed })`
+   * after each one (`total` is null unless `posts` is an array; failures also carry
+   * `post` and `error`). Throws the signal's reason when aborted.
+   */
+  async *analyzeBatch(posts, { signal = null, onProgress = () => {} } = {}) {
+    throwIfAborted(signal);
+
+    const iterator = posts[Symbol.asyncIterator]
+      ? posts[Symbol.asyncIterator]()
+      : posts[Symbol.iterator]();
+    const progress = {
+      total: Array.isArray(posts) ? posts.length : null,
+      submitted: 0,
+      completed: 0,
+      failed: 0,
+    };
+    const pool = new WorkerPool(this.createWorker, this.workerCount);
+    const aborted = whenAborted(signal);
+    const stopOnAbort = () => pool.terminate(abortReason(signal));
+    if (signal) signal.addEventListener('abort', stopOnAbort, { once: true });
+
+    // Task promise -> settles with { task, post, analysis } or { task, post, error }
+    const running = new Set();
+    const { evidenceVault } = this.detectionService;
+    const submit = (post) => {
+      const task = pool.run({ type: 'analyze', post }).then(
+        ({ analysis, evidence }) => {
+          evidenceVault.import(evidence);
+          return { task, post, analysis };
+        },
+        (error) => ({ task, post, error })
+      );
+      running.add(task);
+      progress.submitted += 1;
+    };
+
+    let exhausted = false;
+    try {
+      // Workers encrypt evidence with the vault's key (CryptoKeys survive postMessage)
+      const snapshot = this.detectionService.getSnapshot();
+      const evidenceKey = evidenceVault.isSupported() ? await evidenceVault.getKey() : null;
+      await Promise.race([
+        pool.broadcast({ type: 'configure', snapshot, evidenceKey }),
+        aborted.promise,
+      ]);
+
+      while (!exhausted || running.size > 0) {
+        // Keep every worker's queue topped up without reading the whole input
+        while (!exhausted && running.size < pool.size * this.postsPerWorker) {
+          const next = await Promise.race([iterator.next(), aborted.promise]);
+          if (next.done) exhausted = true;
+          else submit(next.value);
+        }
+        if (running.size === 0) break;
+
+        const { task, post, analysis, error } = await Promise.race([...running, aborted.promise]);
+        throwIfAborted(signal);
+        running.delete(task);
+
+        if (error) {
+          progress.failed += 1;
+          onProgress({ ...progress, post, error });
+        } else {
+          progress.completed += 1;
+          onProgress({ ...progress });
+          yield { post, analysis };
+        }
+      }
+    } finally {
+      aborted.cleanup();
+      if (signal) signal.removeEventListener('abort', stopOnAbort);
+      pool.terminate();
+      // Stopped early (abort, error or the caller broke out): close the input too
+      if (!exhausted && iterator.return) {
+        Promise.resolve(iterator.return()).catch(() => {});
+      }
+    }
+  }
+}
+
+export default BatchDetectionService;
@@ -0,0 +1,316 @@
+/**
+ * Code Scan Service
+ * Looks inside GitHub-style results: file trees, unified diffs and commit histories.
+ * Every finding records the file path, line number and commit SHA it was found at;
+ * findings in diffs also say whether the line was added or removed. Secrets removed in
+ * a later commit are still reported as exposed, since they remain in the history.
+ * Findings are redacted like post analyses, their values kept in the evidence vault.
+ */
+
+import { DATA_EXPOSURE_TYPES } from '../config/config';
+import DataLeakDetectionService from './DataLeakDetectionService';
+import { findConfigSecrets } from './code/configFiles';
+import { parseUnifiedDiff } from './code/diffParser';
+import { shannonEntropy } from './detectors/entropy';
+import { sha256 } from './hashing';
+
+/**
+ * Join `[{ content }]` lines into one text, with the offset each line starts at
+ */
+const joinLines = (lines) => {
+  const starts = [];
+  let offset = 0;
+  lines.forEach((line) => {
+    starts.push(offset);
+    offset += line.content.length + 1;
+  });
+  return { text: lines.map((line) => line.content).join('\n'), starts };
+};
+
+/**
+ * Index of the line containing `index`, by binary search over line start offsets
+ */
+const lineIndexAt = (starts, index) => {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (starts[mid] <= index) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+const overlaps = (a, b) =>
+  a.index < b.index + (b.rawLength || b.match.length) &&
+  b.index < a.index + (a.rawLength || a.match.length);
+
+// Distinct redactions of several scans, by hash
+const mergeRedactions = (scans) =>
+  Array.from(
+    new Map(
+      scans.flatMap((scan) => scan.redactions).map((redaction) => [redaction.hash, redaction])
+    ).values()
+  );
+
+class CodeScanService {
+  constructor(options = {}) {
+    this.leakDetectionService = options.leakDetectionService || new DataLeakDetectionService();
+  }
+
+  /**
+   * Values assigned to secret-looking keys in config files, as findings.
+   * Only kept where no detector already matched the same value.
+   */
+  findConfigSecrets(path, text, findings) {
+    const { starts } = joinLines(text.split('\n').map((content) => ({ content })));
+    return findConfigSecrets(path, text)
+      .map((secret) => ({
+        detector: 'config-secret',
+        type: 'HARDCODED_SECRET',
+        category: 'secret',
+        provider: null,
+        keyType: `${secret.format} ${secret.key}`,
+        severity: 'high',
+        dataType: DATA_EXPOSURE_TYPES.CREDENTIALS,
+        validated: false,
+        match: secret.value,
+        index: starts[secret.line - 1] + secret.column,
+        key: secret.key,
+        entropy: Number(shannonEntropy(secret.value).toFixed(3)),
+        ownedAsset: null,
+        intent: 'neutral',
+      }))
+      .filter((secret) => !findings.some((finding) => overlaps(finding, secret)));
+  }
+
+  /**
+   * Run the detectors over lines of one file (`[{ content, line }]`, not necessarily
+   * contiguous, e.g. the added lines of a diff) and attach the location to each finding.
+   * Returns the redacted `active` and `suppressed` findings and their `redactions`.
+   */
+  scanLines(lines, { path, commitSha = null, change = null, platform, username } = {}) {
+    if (lines.length === 0) return { active: [], suppressed: [], redactions: [] };
+
+    const { text, starts } = joinLines(lines);
+    const detected = this.leakDetectionService.findSuspiciousPatterns(text);
+    const findings = [...detected, ...this.findConfigSecrets(path, text, detected)].map(
+      (finding) => {
+        const lineIndex = lineIndexAt(starts, finding.index);
+        return {
+          ...finding,
+          filePath: path,
+          line: lines[lineIndex].line,
+          column: finding.index - starts[lineIndex],
+          commitSha,
+          change,
+        };
+      }
+    );
+    const { active, suppressed } = this.leakDetectionService.applySuppressions(text, findings, {
+      platform,
+      username,
+    });
+    const redaction = this.leakDetectionService.redact(text, [...active, ...suppressed]);
+    return {
+      active: active.map(redaction.redactFinding),
+      suppressed: suppressed.map(redaction.redactFinding),
+      redactions: redaction.redactions,
+    };
+  }
+
+  /**
+   * Group findings and rate them the way post analyses are rated
+   */
+  summarize(active, suppressed, redactions) {
+    const service = this.leakDetectionService;
+    const patterns = service.groupFindings(active);
+    const dataExposed = service.classifyDataExposure('', [], patterns);
+    return {
+      findings: active,
+      suppressedFindings: suppressed,
+      suspiciousElements: patterns,
+      redactions,
+      dataExposed,
+      riskLevel: service.calculateRiskLevel([], patterns, dataExposed),
+    };
+  }
+
+  /**
+   * Scan a whole file (`{ path, content }`)
+   */
+  scanFile(file, options = {}) {
+    const lines = (file.content || '')
+      .split(/\r?\n/)
+      .map((content, i) => ({ content, line: i + 1 }));
+    const { active, suppressed, redactions } = this.scanLines(lines, {
+      ...options,
+      path: file.path,
+    });
+    return {
+      path: file.path,
+      commitSha: options.commitSha || null,
+      ...this.summarize(active, suppressed, redactions),
+    };
+  }
+
+  /**
+   * Scan a file tree: an array of `{ path, content }` or an object mapping path to content
+   */
+  scanTree(files, options = {}) {
+    const list = Array.isArray(files)
+      ? files
+      : Object.entries(files).map(([path, content]) => ({ path, content }));
+    const results = list.map((file) => this.scanFile(file, options));
+    return {
+      commitSha: options.commitSha || null,
+      files: results.filter((result) => result.findings.length || result.suppressedFindings.length),
+      ...this.summarize(
+        results.flatMap((result) => result.findings),
+        results.flatMap((result) => result.suppressedFindings),
+        mergeRedactions(results)
+      ),
+    };
+  }
+
+  /**
+   * Scan a unified diff. Added and removed lines are scanned separately, so every finding
+   * has `change: 'added' | 'removed'` and the line number on that side of the diff.
+   */
+  scanDiff(diff, options = {}) {
+    const active = [];
+    const suppressed = [];
+    const scans = [];
+    const files = parseUnifiedDiff(diff).map((file) => {
+      const lines = file.hunks.flatMap((hunk) => hunk.lines);
+      const scan = (type, path, lineKey) =>
+        this.scanLines(
+          lines
+            .filter((line) => line.type === type)
+            .map((line) => ({ content: line.content, line: line[lineKey] })),
+          { ...options, path, change: type }
+        );
+      const added = scan('added', file.newPath || file.path, 'newLine');
+      const removed = scan('removed', file.oldPath || file.path, 'oldLine');
+      active.push(...added.active, ...removed.active);
+      suppressed.push(...added.suppressed, ...removed.suppressed);
+      scans.push(added, removed);
+      return {
+        path: file.path,
+        status: file.status,
+        added: added.active,
+        removed: removed.active,
+      };
+    });
+
+    return {
+      commitSha: options.commitSha || null,
+      files: files.filter((file) => file.added.length || file.removed.length),
+      ...this.summarize(active, suppressed, mergeRedactions(scans)),
+    };
+  }
+
+  /**
+   * Scan a commit history (`[{ sha, author, timestamp, diff }]`, oldest first).
+   * Returns the per-commit scans and every distinct secret with the commit that
+   * introduced it and, if it is gone from the tip, the commit that removed it.
+   */
+  scanCommits(commits, options = {}) {
+    const secrets = new Map();
+    const results = commits.map((commit) => {
+      const result = this.scanDiff(commit.diff, {
+        ...options,
+        commitSha: commit.sha,
+        username: commit.author || options.username,
+      });
+
+      // Removals first so a secret moved within one commit stays present
+      const changes = [...result.findings].sort(
+        (a, b) => (a.change === 'removed' ? 0 : 1) - (b.change === 'removed' ? 0 : 1)
+      );
+      changes.forEach((finding) => {
+        // Redacted matches are placeholders with a short hash, so tell secrets apart by
+        // the full salted hash of their value
+        const key = sha256(`${finding.detector}:${finding.matchHash || finding.match}`);
+        const secret = secrets.get(key);
+        if (finding.change === 'added') {
+          if (!secret) {
+            secrets.set(key, {
+              key,
+              detector: finding.detector,
+              type: finding.type,
+              category: finding.category,
+              severity: finding.severity,
+              match: finding.match,
+              matchHash: finding.matchHash || null,
+              filePath: finding.filePath,
+              line: finding.line,
+              introducedIn: commit.sha,
+              introducedAt: commit.timestamp || null,
+              removedIn: null,
+              removedAt: null,
+              status: 'present',
+              exposed: true,
+              findings: [finding],
+            });
+          } else {
+            Object.assign(secret, { status: 'present', removedIn: null, removedAt: null });
+            secret.findings.push(finding);
+          }
+        } else if (secret) {
+          Object.assign(secret, {
+            status: 'removed',
+            removedIn: commit.sha,
+            removedAt: commit.timestamp || null,
+          });
+          secret.findings.push(finding);
+        }
+      });
+
+      return { sha: commit.sha, author: commit.author, timestamp: commit.timestamp, ...result };
+    });
+
+    const history = Array.from(secrets.values());
+    return {
+      commits: results,
+      secrets: history,
+      removedSecrets: history.filter((secret) => secret.status === 'removed'),
+      ...this.summarize(
+        results.flatMap((result) => result.findings),
+        results.flatMap((result) => result.suppressedFindings),
+        mergeRedactions(results)
+      ),
+    };
+  }
+
+  /**
+   * Scan a canonical GitHub post: its payload's `files` (file tree at `headSha`) and/or
+   * `commitHistory`
+   */
+  scanRepositoryPost(post, platform = post.platform) {
+    const { files, headSha, commitHistory } = post.raw;
+    const options = { platform, username: post.author.handle };
+    const tree = files ? this.scanTree(files, { ...options, commitSha: headSha }) : null;
+    const history = commitHistory ? this.scanCommits(commitHistory, options) : null;
+    const findings = [...(tree ? tree.findings : []), ...(history ? history.findings : [])];
+    const suppressed = [
+      ...(tree ? tree.suppressedFindings : []),
+      ...(history ? history.suppressedFindings : []),
+    ];
+    const redactions = mergeRedactions([tree, history].filter(Boolean));
+
+    return {
+      repository: post.title,
+      platform,
+      username: post.author.handle,
+      timestamp: post.createdAt,
+      tree,
+      history,
+      secrets: history ? history.secrets : [],
+      hasSecrets: findings.length > 0,
+      ...this.summarize(findings, suppressed, redactions),
+    };
+  }
+}
+
+export default CodeScanService;
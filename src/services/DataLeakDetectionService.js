@@ -3,8 +3,37 @@
  * Monitors and analyzes data exposure across social media platforms
  */
 
+import {
+  DATA_EXPOSURE_TYPES,
+  DETECTION_RULES_URL,
+  MONITORING_KEYWORDS,
+  UtilityFunctions,
+} from '../config/config';
+import { KEYWORD_PACKS } from '../config/keywordPacks';
+import { ORGANIZATION_PROFILE } from '../config/organizationProfile';
+import { createDefaultRegistry, getPiiDetectors, loadRules, PII_LOCALE_PACKS } from './detectors';
+import { shannonEntropy, normalizedEntropy } from './detectors/entropy';
+import DocumentFingerprintRegistry from './DocumentFingerprintRegistry';
+import EvidenceVault from './EvidenceVault';
+import ExactDataMatchIndex from './ExactDataMatchIndex';
+import OwnedAssetMatcher from './OwnedAssetMatcher';
+import Redactor from './Redactor';
+import ScoringPolicyStore from './ScoringPolicyStore';
+import SuppressionStore from './SuppressionStore';
+import { normalizeKeyword } from './text/normalization';
+import KeywordMatcher from './text/KeywordMatcher';
+import IntentClassifier from './text/IntentClassifier';
+import LanguageIdentifier from './text/LanguageIdentifier';
+
+// Near-miss keyword matching (percent similarity from calculateStringSimilarity)
+const FUZZY_SIMILARITY_THRESHOLD = 85;
+const FUZZY_MIN_KEYWORD_LENGTH = 6;
+
+// Keyword hits in these intents do not count towards risk
+const BENIGN_INTENTS = ['advice', 'negation'];
+
 class DataLeakDetectionService {
-  constructor() {
+  constructor(options = {}) {
     this.detectedLeaks = [];
     this.threatIntelligence = [];
     this.monitoredKeywords = [
@@ -24,12 +53,30 @@ class DataLeakDetectionService {
       'exploit',
       'breach',
     ];
-    this.suspiciousPatterns = [
-      /([A-Za-z0-9]{20,})/g, // Potential API keys
-      /(?:[0-9]{1,3}\.){3}[0-9]{1,3}/g, // IP addresses
-      /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g, // Email addresses
-      /\b[0-9]{4}[\s-]?[0-9]{4}[\s-]?[0-9]{4}[\s-]?[0-9]{4}\b/g, // Credit card patterns
-    ];
+    this.piiLocales = options.piiLocales || Object.keys(PII_LOCALE_PACKS);
+    this.detectorRegistry =
+      options.detectorRegistry || createDefaultRegistry({ piiLocales: this.piiLocales });
+    this.organizationProfile = options.organizationProfile || ORGANIZATION_PROFILE;
+    this.assetMatcher = new OwnedAssetMatcher(this.organizationProfile);
+    this.detectorRegistry.register(this.assetMatcher.createMentionDetector());
+    this.fingerprintRegistry = options.fingerprintRegistry || new DocumentFingerprintRegistry();
+    this.detectorRegistry.register(this.fingerprintRegistry.createDetector());
+    this.edmIndex = options.edmIndex || new ExactDataMatchIndex();
+    this.detectorRegistry.register(this.edmIndex.createDetector());
+    this.keywordPacks = options.keywordPacks || KEYWORD_PACKS;
+    this.languageIdentifier = options.languageIdentifier || new LanguageIdentifier();
+    // Keyword matcher per language, built on first use
+    this.keywordMatchers = new Map();
+    this.intentClassifier = options.intentClassifier || new IntentClassifier();
+    this.ruleIds = [];
+    this.detectionRules = null;
+    this.suppressionStore = options.suppressionStore || new SuppressionStore();
+    // Weights and thresholds for risk scoring, shared with AnalyticsEngine
+    this.policyStore = options.policyStore || new ScoringPolicyStore();
+    // Secret values are replaced by placeholders in analyses and kept encrypted in the vault
+    this.redactor = options.redactor || new Redactor();
+    this.evidenceVault = options.evidenceVault || new EvidenceVault();
+    if (options.rules) this.loadDetectionRules(options.rules);
   }
 
   /**
@@ -46,144 +93,446 @@ class DataLeakDetectionService {
       dataExposed: [],
       matchedKeywords: [],
       suspiciousElements: [],
+      suppressedFindings: [],
+      redactions: [],
+      suppression: null,
+      intent: 'neutral',
+      language: 'und',
+      languageConfidence: 0,
+      riskExplanation: null,
+      policyVersion: null,
       confidenceScore: 0,
+      confidenceExplanation: null,
     };
 
+    // Identify the language so its keyword pack is applied too
+    const { language, confidence } = this.languageIdentifier.identify(content);
+    analysis.language = language;
+    analysis.languageConfidence = confidence;
+
     // Check for monitored keywords
-    const keywordMatches = this.detectKeywords(content);
+    const keywordMatches = this.detectKeywords(content, language);
     analysis.matchedKeywords = keywordMatches;
 
-    // Check for suspicious patterns
-    const patterns = this.detectSuspiciousPatterns(content);
+    // Check for suspicious patterns, keeping allowlisted findings aside with their reason
+    const { active, suppressed } = this.applySuppressions(
+      content,
+      this.findSuspiciousPatterns(content),
+      { platform, username }
+    );
+    const redaction = this.redact(content, [...active, ...suppressed]);
+    const patterns = this.groupFindings(active.map(redaction.redactFinding));
     analysis.suspiciousElements = patterns;
+    analysis.suppressedFindings = suppressed.map(redaction.redactFinding);
+    analysis.suppression = this.suppressionStore.matchPost({ platform, username });
 
     // Determine data exposure types
-    const dataTypes = this.classifyDataExposure(content, keywordMatches);
+    const dataTypes = this.classifyDataExposure(content, keywordMatches, patterns);
     analysis.dataExposed = dataTypes;
 
-    // Calculate risk level
-    analysis.riskLevel = this.calculateRiskLevel(keywordMatches, patterns, dataTypes);
-    analysis.confidenceScore = this.calculateConfidenceScore(keywordMatches, patterns);
+    // Overall intent from the intent of each keyword hit and finding
+    analysis.intent = this.intentClassifier.classifyPost([
+      ...keywordMatches.flatMap((kw) => kw.occurrences.map((occurrence) => occurrence.intent)),
+      ...patterns.flatMap((pattern) => pattern.findings.map((finding) => finding.intent)),
+    ]);
+
+    // Calculate risk level (keywords do not count for suppressed authors and platforms)
+    analysis.riskExplanation = this.explainRiskScore(
+      analysis.suppression ? [] : keywordMatches,
+      patterns,
+      dataTypes,
+      analysis.intent
+    );
+    analysis.riskLevel = analysis.riskExplanation.level;
+    analysis.policyVersion = analysis.riskExplanation.policyVersion;
+    analysis.confidenceExplanation = this.explainConfidenceScore(keywordMatches, patterns);
+    analysis.confidenceScore = analysis.confidenceExplanation.score;
+
+    analysis.redactions = redaction.redactions;
+    return redaction.apply(analysis);
+  }
 
-    return analysis;
+  /**
+   * Redact the sensitive values of findings in `content` (see Redactor.redact). Unredacted
+   * values only go to the evidence vault; nothing returned contains them.
+   */
+  redact(content, findings) {
+    const redaction = this.redactor.redact(content, findings);
+    redaction.evidence.forEach(({ hash, value, label, detector }) =>
+      this.evidenceVault.store(hash, value, { label, detector })
+    );
+    return redaction;
   }
 
   /**
-   * Detect keywords related to data leaks
+   * Analyze a canonical post (see connectors/postSchema); the title is analyzed with the text
    */
-  detectKeywords(content) {
-    const matches = [];
-    const lowerContent = content.toLowerCase();
+  analyzePost(post) {
+    return this.analyzeSocialMediaContent(
+      [post.title, post.text].filter(Boolean).join('\n'),
+      post.platform,
+      post.author.handle,
+      post.createdAt
+    );
+  }
 
+  /**
+   * Replace the monitored keywords; matchers are recompiled on next use
+   */
+  setMonitoredKeywords(keywords) {
+    this.monitoredKeywords = keywords;
+    this.keywordMatchers.clear();
+    return this;
+  }
+
+  /**
+   * Keyword matcher for a language, compiled once
+   */
+  getKeywordMatcher(language = 'en') {
+    const key = this.keywordPacks[language] ? language : 'en';
+    if (!this.keywordMatchers.has(key)) {
+      this.keywordMatchers.set(key, this.buildKeywordMatcher(key));
+    }
+    return this.keywordMatchers.get(key);
+  }
+
+  /**
+   * Compile monitoredKeywords plus the MONITORING_KEYWORDS categories into one matcher,
+   * with the language's keyword pack added. Translated keywords keep the categories of
+   * the English keyword and report it as `translation`.
+   */
+  buildKeywordMatcher(language = 'en') {
+    const entries = [
+      ...this.monitoredKeywords.map((keyword) => ({ keyword, category: 'MONITORED' })),
+      ...Object.entries(MONITORING_KEYWORDS).flatMap(([category, keywords]) =>
+        keywords.map((keyword) => ({ keyword, category, wholeWord: true }))
+      ),
+    ];
+
+    const pack = this.keywordPacks[language];
+    if (pack) {
+      const categoriesOf = (english) =>
+        entries.filter((entry) => entry.keyword === english).map((entry) => entry.category);
+      Object.entries(pack.keywords).forEach(([english, translations]) => {
+        const categories = categoriesOf(english);
+        translations.forEach((translation) => {
+          const stem = translation.endsWith('*');
+          (categories.length > 0 ? categories : ['MONITORED']).forEach((category) => {
+            entries.push({
+              keyword: stem ? translation.slice(0, -1) : translation,
+              category,
+              wholeWord: !stem,
+              // A stem leaves only the end of the word open
+              wordStart: true,
+              translation: english,
+            });
+          });
+        });
+      });
+    }
+    return new KeywordMatcher(entries);
+  }
+
+  /**
+   * Detect keywords related to data leaks, including obfuscated spellings
+   * (leetspeak, homoglyphs, zero-width characters, split letters) and near misses.
+   * Each occurrence is labelled with the intent of the words around it.
+   * `language` adds that language's keyword pack to the English keywords.
+   */
+  detectKeywords(content, language = 'en') {
+    const matchesByKeyword = new Map();
+
+    const keywordMatcher = this.getKeywordMatcher(language);
+
+    keywordMatcher.search(content).forEach((hit) => {
+      if (!matchesByKeyword.has(hit.normalizedKeyword)) {
+        matchesByKeyword.set(hit.normalizedKeyword, {
+          keyword: hit.keyword,
+          normalizedKeyword: hit.normalizedKeyword,
+          translation: hit.translation,
+          categories: hit.categories,
+          count: 0,
+          occurrences: [],
+        });
+      }
+      const entry = matchesByKeyword.get(hit.normalizedKeyword);
+      entry.count += 1;
+      entry.occurrences.push({
+        text: hit.text,
+        index: hit.index,
+        length: hit.length,
+        matchType: hit.text.toLowerCase() === hit.keyword.toLowerCase() ? 'exact' : 'normalized',
+      });
+    });
+
+    // Near misses only for monitored keywords that had no direct hit
     this.monitoredKeywords.forEach((keyword) => {
-      if (lowerContent.includes(keyword.toLowerCase())) {
-        const regex = new RegExp(keyword, 'gi');
-        const count = (content.match(regex) || []).length;
-        matches.push({
+      const normalizedKeyword = normalizeKeyword(keyword);
+      if (!normalizedKeyword || matchesByKeyword.has(normalizedKeyword)) return;
+      const occurrences = this.findNearMisses(content, keyword, normalizedKeyword);
+      if (occurrences.length > 0) {
+        matchesByKeyword.set(normalizedKeyword, {
           keyword,
-          count,
-          occurrences: this.findOccurrences(content, keyword),
+          normalizedKeyword,
+          translation: null,
+          categories: ['MONITORED'],
+          count: occurrences.length,
+          occurrences,
         });
       }
     });
 
-    return matches;
+    return Array.from(matchesByKeyword.values()).map((entry) => {
+      const occurrences = entry.occurrences.map((occurrence) => ({
+        ...occurrence,
+        ...this.intentClassifier.classify(content, occurrence.index, occurrence.length),
+      }));
+      return {
+        ...entry,
+        occurrences,
+        intent: this.intentClassifier.classifyPost(occurrences.map((o) => o.intent)),
+      };
+    });
   }
 
   /**
-   * Find exact occurrences of a keyword in content
+   * Find words that are a near miss for a single-word keyword (e.g. "passwrd")
    */
-  findOccurrences(content, keyword) {
-    const regex = new RegExp(`(\\S*${keyword}\\S*)`, 'gi');
-    const matches = [];
+  findNearMisses(content, keyword, normalizedKeyword) {
+    if (/\s/.test(keyword.trim()) || normalizedKeyword.length < FUZZY_MIN_KEYWORD_LENGTH) {
+      return [];
+    }
+
+    const occurrences = [];
+    const wordRegex = /\S+/g;
     let match;
-    while ((match = regex.exec(content)) !== null) {
-      matches.push({
-        text: match[1],
-        index: match.index,
-      });
+    while ((match = wordRegex.exec(content)) !== null) {
+      const word = normalizeKeyword(match[0]);
+      if (Math.abs(word.length - normalizedKeyword.length) > 2) continue;
+      const similarity = parseFloat(
+        UtilityFunctions.calculateStringSimilarity(word, normalizedKeyword)
+      );
+      if (similarity >= FUZZY_SIMILARITY_THRESHOLD) {
+        occurrences.push({
+          text: match[0],
+          index: match.index,
+          length: match[0].length,
+          matchType: 'fuzzy',
+          similarity,
+        });
+      }
     }
-    return matches;
+    return occurrences;
   }
 
   /**
-   * Detect suspicious patterns like APIs, IPs, etc.
+   * Register an additional detector (see detectors/DetectorRegistry for the shape)
    */
-  detectSuspiciousPatterns(content) {
-    const patterns = [];
-
-    // API Key pattern
-    const apiKeyMatches = content.match(/([A-Za-z0-9]{32,})/g) || [];
-    if (apiKeyMatches.length > 0) {
-      patterns.push({
-        type: 'API_KEY',
-        severity: 'critical',
-        matches: apiKeyMatches.slice(0, 5), // Limit to first 5
-        count: apiKeyMatches.length,
-      });
-    }
+  registerDetector(detector) {
+    this.detectorRegistry.register(detector);
+    return this;
+  }
 
-    // IP Address pattern
-    const ipMatches = content.match(/(?:[0-9]{1,3}\.){3}[0-9]{1,3}/g) || [];
-    if (ipMatches.length > 0) {
-      patterns.push({
-        type: 'IP_ADDRESS',
-        severity: 'high',
-        matches: ipMatches,
-        count: ipMatches.length,
-      });
-    }
+  /**
+   * Switch which PII locale packs (see detectors/piiDetectors) are active
+   */
+  setPiiLocales(locales) {
+    getPiiDetectors().forEach((detector) => this.detectorRegistry.unregister(detector.id));
+    getPiiDetectors(locales).forEach((detector) => this.detectorRegistry.register(detector));
+    this.piiLocales = locales;
+    return this;
+  }
 
-    // Email addresses
-    const emailMatches = content.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g) || [];
-    if (emailMatches.length > 0) {
-      patterns.push({
-        type: 'EMAIL_ADDRESS',
-        severity: 'medium',
-        matches: emailMatches.slice(0, 5),
-        count: emailMatches.length,
-      });
+  /**
+   * Load declarative detection rules (an array or JSON string, see detectors/ruleSchema),
+   * replacing any rules loaded before. Throws a RuleValidationError if any rule is invalid.
+   */
+  loadDetectionRules(source) {
+    const detectors = loadRules(source);
+    const clashes = detectors
+      .map((detector) => detector.id)
+      .filter((id) => this.detectorRegistry.get(id) && !this.ruleIds.includes(id));
+    if (clashes.length > 0) {
+      throw new Error(`Detection rule ids clash with built-in detectors: ${clashes.join(', ')}`);
     }
 
-    // Credit card patterns
-    const ccMatches = content.match(/\b[0-9]{4}[\s-]?[0-9]{4}[\s-]?[0-9]{4}[\s-]?[0-9]{4}\b/g) || [];
-    if (ccMatches.length > 0) {
-      patterns.push({
-        type: 'CREDIT_CARD',
-        severity: 'critical',
-        matches: ccMatches,
-        count: ccMatches.length,
-      });
-    }
+    this.ruleIds.forEach((id) => this.detectorRegistry.unregister(id));
+    detectors.forEach((detector) => this.detectorRegistry.register(detector));
+    this.ruleIds = detectors.map((detector) => detector.id);
+    this.detectionRules = source;
+    return detectors;
+  }
 
-    // Database connection strings
-    if (content.match(/mongodb|postgresql|mysql|oracle/i)) {
-      patterns.push({
-        type: 'DATABASE_CONNECTION',
-        severity: 'critical',
-        matches: ['Potential database credentials found'],
-        count: 1,
-      });
+  /**
+   * Fetch and load detection rules from a URL
+   */
+  async loadDetectionRulesFromUrl(url = DETECTION_RULES_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load detection rules from ${url}: HTTP ${response.status}`);
     }
+    return this.loadDetectionRules(await response.text());
+  }
+
+  /**
+   * Everything needed to rebuild this service elsewhere (a Web Worker) as plain data:
+   * keywords, PII locales, organization profile, rules, fingerprints, EDM hashes,
+   * suppressions, scoring policy versions and redaction settings. Detectors added with
+   * registerDetector hold functions and are not included, nor is the evidence vault
+   * (see BatchDetectionService for sharing its key).
+   */
+  getSnapshot() {
+    return {
+      monitoredKeywords: this.monitoredKeywords,
+      keywordPacks: this.keywordPacks,
+      piiLocales: this.piiLocales,
+      organizationProfile: this.organizationProfile,
+      detectionRules: this.detectionRules,
+      fingerprints: {
+        config: this.fingerprintRegistry.config,
+        data: this.fingerprintRegistry.toJSON(),
+      },
+      edm: { config: this.edmIndex.config, data: this.edmIndex.toJSON() },
+      suppressions: this.suppressionStore.list({ includeExpired: true }),
+      policies: this.policyStore.list(),
+      // Workers must redact with the same salt
+      redaction: { ...this.redactor.config, salt: this.redactor.getSalt() },
+    };
+  }
 
-    return patterns;
+  /**
+   * Rebuild a service from getSnapshot(); `options` are passed to the constructor
+   */
+  static fromSnapshot(snapshot, options = {}) {
+    const [policy, ...newerPolicies] = snapshot.policies;
+    const service = new DataLeakDetectionService({
+      piiLocales: snapshot.piiLocales,
+      organizationProfile: snapshot.organizationProfile,
+      keywordPacks: snapshot.keywordPacks,
+      fingerprintRegistry: new DocumentFingerprintRegistry(snapshot.fingerprints.config).load(
+        snapshot.fingerprints.data
+      ),
+      edmIndex: new ExactDataMatchIndex(snapshot.edm.config).load(snapshot.edm.data),
+      suppressionStore: new SuppressionStore(snapshot.suppressions),
+      policyStore: new ScoringPolicyStore(policy).load(newerPolicies),
+      rules: snapshot.detectionRules,
+      redactor: new Redactor(snapshot.redaction),
+      ...options,
+    });
+    service.setMonitoredKeywords(snapshot.monitoredKeywords);
+    return service;
+  }
+
+  /**
+   * Detect suspicious patterns like APIs, IPs, etc.
+   */
+  detectSuspiciousPatterns(content) {
+    return this.groupFindings(this.findSuspiciousPatterns(content));
+  }
+
+  /**
+   * Run the detectors and annotate each finding with owned assets, entropy and intent
+   */
+  findSuspiciousPatterns(content) {
+    return this.detectorRegistry.scan(content).map((finding) => {
+      const annotated = {
+        ...finding,
+        ownedAsset: this.assetMatcher.match(finding),
+        intent: this.intentClassifier.classify(
+          content,
+          finding.index,
+          finding.rawLength || finding.match.length
+        ).intent,
+      };
+      if (finding.category === 'secret') {
+        if (annotated.entropy === undefined) {
+          annotated.entropy = Number(shannonEntropy(finding.match).toFixed(3));
+        }
+        annotated.normalizedEntropy = Number(normalizedEntropy(finding.match).toFixed(3));
+      }
+      return annotated;
+    });
+  }
+
+  /**
+   * Group findings by detector
+   */
+  groupFindings(findings) {
+    const groups = new Map();
+
+    findings.forEach((finding) => {
+      if (!groups.has(finding.detector)) {
+        groups.set(finding.detector, {
+          type: finding.type,
+          detector: finding.detector,
+          category: finding.category,
+          provider: finding.provider,
+          severity: finding.severity,
+          validated: false,
+          matches: [],
+          count: 0,
+          maxEntropy: null,
+          findings: [],
+        });
+      }
+      const group = groups.get(finding.detector);
+      if (finding.entropy !== undefined) {
+        group.maxEntropy = Math.max(group.maxEntropy || 0, finding.entropy);
+      }
+      group.findings.push(finding);
+      group.severity = this.determineSeverity(group.severity, finding.severity);
+      group.count += 1;
+      group.validated = group.validated || finding.validated;
+      if (group.matches.length < 5) group.matches.push(finding.match); // Limit to first 5
+    });
+
+    return Array.from(groups.values()).map((group) => ({
+      ...group,
+      providers: [...new Set(group.findings.map((f) => f.provider).filter(Boolean))],
+      keyTypes: [...new Set(group.findings.map((f) => f.keyType).filter(Boolean))],
+      dataTypes: [...new Set(group.findings.map((f) => f.dataType).filter(Boolean))],
+      ownedAssets: group.findings.filter((f) => f.ownedAsset).map((f) => f.ownedAsset),
+    }));
+  }
+
+  /**
+   * Split findings in `content` into active and suppressed ones; suppressed findings keep
+   * their reason
+   */
+  applySuppressions(content, findings, context = {}) {
+    const active = [];
+    const suppressed = [];
+    findings.forEach((finding) => {
+      const suppression = this.suppressionStore.matchFinding(
+        { ...finding, matchHash: this.redactor.matchHash(content, finding) },
+        context
+      );
+      if (suppression) suppressed.push({ ...finding, suppression });
+      else active.push(finding);
+    });
+    return { active, suppressed };
+  }
+
+  /**
+   * Mark a finding as a false positive so its value is suppressed from now on (by its
+   * salted hash, so no plain hash of the value is stored)
+   */
+  markAsFalsePositive(finding, options = {}) {
+    return this.suppressionStore.markAsFalsePositive(
+      { ...finding, matchHash: finding.matchHash || this.redactor.hash(finding.match) },
+      options
+    );
   }
 
   /**
    * Classify the type of data that might be exposed
    */
-  classifyDataExposure(content, keywords) {
+  classifyDataExposure(content, keywords, patterns = []) {
     const dataTypes = new Set();
 
     // Keyword-based classification
     keywords.forEach((kw) => {
-      const keyword = kw.keyword.toLowerCase();
-      if (keyword.includes('employee') || keyword.includes('staff')) {
-        dataTypes.add('Employee Information');
-      }
-      if (keyword.includes('customer') || keyword.includes('user')) {
-        dataTypes.add('Customer Records');
-      }
+      const keyword = (kw.translation || kw.keyword).toLowerCase();
       if (keyword.includes('api') || keyword.includes('key')) {
         dataTypes.add('API Keys/Secrets');
       }
@@ -201,6 +550,20 @@ class DataLeakDetectionService {
       }
     });
 
+    // Evidence-based classification from detector findings
+    patterns.forEach((pattern) => {
+      (pattern.dataTypes || []).forEach((dataType) => dataTypes.add(dataType));
+    });
+
+    // Personal identifiers are employee or customer records depending on context
+    if (patterns.some((pattern) => pattern.category === 'pii')) {
+      if (/\b(?:employee|staff|payroll|personnel|hr)\b/i.test(content)) {
+        dataTypes.add(DATA_EXPOSURE_TYPES.EMPLOYEE_DATA);
+      } else {
+        dataTypes.add(DATA_EXPOSURE_TYPES.CUSTOMER_DATA);
+      }
+    }
+
     // Pattern-based classification
     const contentLower = content.toLowerCase();
     if (contentLower.includes('salary') || contentLower.includes('payment')) {
@@ -219,71 +582,243 @@ class DataLeakDetectionService {
   /**
    * Calculate overall risk level
    */
-  calculateRiskLevel(keywords, patterns, dataTypes) {
-    let riskScore = 0;
+  calculateRiskLevel(keywords, patterns, dataTypes, intent = 'neutral', policy) {
+    return this.explainRiskScore(keywords, patterns, dataTypes, intent, policy).level;
+  }
+
+  /**
+   * Score a post and explain it: every contributing factor with its points, the total
+   * and the risk threshold it crossed. Uses the current scoring policy unless given one.
+   */
+  explainRiskScore(
+    keywords,
+    patterns,
+    dataTypes,
+    intent = 'neutral',
+    policy = this.policyStore.get()
+  ) {
+    const weights = policy.risk;
+    const factors = [];
 
     // Pattern severity scores
     patterns.forEach((pattern) => {
-      if (pattern.severity === 'critical') riskScore += 40;
-      else if (pattern.severity === 'high') riskScore += 25;
-      else if (pattern.severity === 'medium') riskScore += 15;
+      const label = `${pattern.type} (${pattern.detector})`;
+      const findings = `${pattern.count} finding${pattern.count === 1 ? '' : 's'}`;
+      // IPs and emails only count as an exposure when they are ours
+      const owned = pattern.ownedAssets && pattern.ownedAssets.length > 0;
+      if (pattern.category === 'network' && !owned) {
+        factors.push({
+          factor: 'pattern',
+          detector: pattern.detector,
+          label,
+          points: 0,
+          detail: `${findings}, not one of our assets`,
+        });
+        return;
+      }
+      factors.push({
+        factor: 'pattern',
+        detector: pattern.detector,
+        label,
+        points: weights.severityPoints[pattern.severity] || 0,
+        detail: `${findings}, ${pattern.severity} severity`,
+      });
     });
 
-    // Keyword count affects risk
-    const keywordCount = keywords.reduce((sum, kw) => sum + kw.count, 0);
-    riskScore += Math.min(keywordCount * 5, 30);
+    // Exposed items that belong to us boost risk
+    const ownedCount = patterns.filter((p) => p.ownedAssets && p.ownedAssets.length > 0).length;
+    if (ownedCount > 0) {
+      factors.push({
+        factor: 'ownedAssets',
+        label: 'Owned asset match',
+        points: Math.min(ownedCount * weights.ownedAssetPoints, weights.ownedAssetCap),
+        detail: `${ownedCount} finding type(s) match our assets (${weights.ownedAssetPoints} each, up to ${weights.ownedAssetCap})`,
+      });
+    }
+
+    // Keyword count affects risk, except for educational or negated mentions
+    const occurrences = keywords.flatMap((kw) => kw.occurrences || []);
+    const keywordCount = occurrences.filter((o) => !BENIGN_INTENTS.includes(o.intent)).length;
+    if (occurrences.length > 0) {
+      const ignored = occurrences.length - keywordCount;
+      factors.push({
+        factor: 'keywords',
+        label: 'Keyword hits',
+        points: Math.min(keywordCount * weights.keywordPoints, weights.keywordCap),
+        detail:
+          `${keywordCount} hit(s) (${weights.keywordPoints} each, up to ${weights.keywordCap})` +
+          (ignored > 0 ? `; ${ignored} in advice or negation ignored` : ''),
+      });
+    }
+
+    // Sale/dump language raises risk, advice and negation lower it
+    const intentPoints = weights.intentAdjustments[intent] || 0;
+    if (intentPoints !== 0) {
+      factors.push({
+        factor: 'intent',
+        label: 'Intent',
+        points: intentPoints,
+        detail: `Post reads as ${intent}`,
+      });
+    }
 
     // Data type count affects risk
-    riskScore += dataTypes.length * 8;
+    if (dataTypes.length > 0) {
+      factors.push({
+        factor: 'dataTypes',
+        label: 'Data types exposed',
+        points: dataTypes.length * weights.dataTypePoints,
+        detail: `${dataTypes.join(', ')} (${weights.dataTypePoints} each)`,
+      });
+    }
 
     // Determine level based on score
-    if (riskScore >= 70) return 'critical';
-    if (riskScore >= 50) return 'high';
-    if (riskScore >= 30) return 'medium';
-    return 'low';
+    // Lowest score for each level, highest level first; low takes the rest
+    const thresholds = [
+      ...['critical', 'high', 'medium'].map((level) => ({ level, min: weights.thresholds[level] })),
+      { level: 'low', min: null },
+    ];
+    const score = factors.reduce((sum, factor) => sum + factor.points, 0);
+    const thresholdIndex = thresholds.findIndex(
+      (threshold) => threshold.min === null || score >= threshold.min
+    );
+    const threshold = thresholds[thresholdIndex];
+    return {
+      score,
+      level: threshold.level,
+      threshold,
+      nextThreshold: thresholdIndex > 0 ? thresholds[thresholdIndex - 1] : null,
+      policyVersion: policy.version,
+      factors,
+    };
+  }
+
+  /**
+   * Score an analysis again with another policy version (default: the current one).
+   * Findings and keywords are reused as they are, so only the weights differ.
+   */
+  rescoreAnalysis(analysis, version = this.policyStore.get().version) {
+    const policy = this.policyStore.getVersion(version);
+    if (!policy) {
+      throw new Error(`Unknown scoring policy version ${version}`);
+    }
+    const riskExplanation = this.explainRiskScore(
+      analysis.suppression ? [] : analysis.matchedKeywords,
+      analysis.suspiciousElements,
+      analysis.dataExposed,
+      analysis.intent,
+      policy
+    );
+    return {
+      ...analysis,
+      riskLevel: riskExplanation.level,
+      riskExplanation,
+      policyVersion: policy.version,
+    };
   }
 
   /**
    * Calculate confidence score for detection accuracy
    */
   calculateConfidenceScore(keywords, patterns) {
-    let confidence = 0;
+    return this.explainConfidenceScore(keywords, patterns).score;
+  }
+
+  /**
+   * Confidence score with the points each factor contributed (capped at 100)
+   */
+  explainConfidenceScore(keywords, patterns) {
+    const factors = [];
+    const add = (factor, label, points, detail) => {
+      if (points !== 0) factors.push({ factor, label, points, detail });
+    };
 
     // More patterns = higher confidence
-    confidence += Math.min(patterns.length * 15, 50);
+    add(
+      'patterns',
+      'Finding types',
+      Math.min(patterns.length * 15, 50),
+      `${patterns.length} (15 each, up to 50)`
+    );
 
     // More keywords = higher confidence
-    confidence += Math.min(keywords.length * 5, 30);
+    add(
+      'keywords',
+      'Keywords',
+      Math.min(keywords.length * 5, 30),
+      `${keywords.length} (5 each, up to 30)`
+    );
 
     // Additional confidence boosts
-    if (patterns.length > 0) confidence += 10;
-    if (keywords.length > 3) confidence += 10;
+    if (patterns.length > 0) add('patternBonus', 'Has findings', 10, 'At least one finding');
+    if (keywords.length > 3) add('keywordBonus', 'Many keywords', 10, 'More than 3 keywords');
+
+    // Random-looking secrets are more likely to be real than words or repeated strings
+    const secretEntropies = patterns
+      .flatMap((pattern) => pattern.findings || [])
+      .filter((finding) => finding.normalizedEntropy !== undefined)
+      .map((finding) => finding.normalizedEntropy);
+    if (secretEntropies.length > 0) {
+      const maxEntropy = Math.max(...secretEntropies);
+      add(
+        'entropy',
+        'Secret randomness',
+        Math.round(maxEntropy * 20),
+        `Normalized entropy ${maxEntropy} (up to 20)`
+      );
+    }
 
-    return Math.min(confidence, 100);
+    const total = factors.reduce((sum, factor) => sum + factor.points, 0);
+    return { score: Math.min(total, 100), factors };
   }
 
   /**
-   * Track and aggregate leaks by type
+   * Track and aggregate leaks by type over incidents (see LeakClusteringService):
+   * `instances` counts incidents and `posts` the posts in them
    */
-  aggregateLeaksByType(leakAnalyses) {
+  aggregateLeaksByType(incidents) {
     const aggregation = {};
 
-    leakAnalyses.forEach((analysis) => {
-      analysis.dataExposed.forEach((dataType) => {
+    incidents.forEach((incident) => {
+      // A plain analysis counts as an incident of one post
+      const members = incident.members || [incident];
+
+      // Records found by exact data matching, per data type. Reposts of one dump expose
+      // the same records, so an incident counts its largest post.
+      const records = {};
+      members.forEach((analysis) => {
+        const counts = {};
+        (analysis.suspiciousElements || [])
+          .filter((pattern) => pattern.detector === 'exact-data-match')
+          .flatMap((pattern) => pattern.findings)
+          .forEach((finding) => {
+            counts[finding.dataType] = (counts[finding.dataType] || 0) + 1;
+          });
+        Object.entries(counts).forEach(([dataType, count]) => {
+          records[dataType] = Math.max(records[dataType] || 0, count);
+        });
+      });
+
+      incident.dataExposed.forEach((dataType) => {
         if (!aggregation[dataType]) {
           aggregation[dataType] = {
             type: dataType,
             instances: 0,
+            posts: 0,
             platforms: new Set(),
             severity: 'low',
             records: 0,
           };
         }
         aggregation[dataType].instances += 1;
-        aggregation[dataType].platforms.add(analysis.platform);
+        aggregation[dataType].posts += members.filter((analysis) =>
+          analysis.dataExposed.includes(dataType)
+        ).length;
+        aggregation[dataType].records += records[dataType] || 0;
+        members.forEach((analysis) => aggregation[dataType].platforms.add(analysis.platform));
         aggregation[dataType].severity = this.determineSeverity(
           aggregation[dataType].severity,
-          analysis.riskLevel
+          incident.riskLevel
         );
       });
     });
@@ -323,7 +858,7 @@ class DataLeakDetectionService {
       });
     }
 
-    if (analysis.suspiciousElements.some((el) => el.type === 'API_KEY')) {
+    if (analysis.suspiciousElements.some((el) => el.category === 'secret')) {
       recommendations.push({
         priority: 'HIGH',
         action: 'Regenerate all exposed API keys immediately',
@@ -0,0 +1,27 @@
+import DataLeakDetectionService from './DataLeakDetectionService';
+import Redactor from './Redactor';
+
+const analyze = (content) =>
+  new DataLeakDetectionService({
+    redactor: new Redactor({ salt: 'test' }),
+  }).analyzeSocialMediaContent(content, 'twitter', 'someone', '2024-05-14T12:00:00.000Z');
+
+const LEAK = "here's the prod admin password and api key for the internal database";
+
+describe('DataLeakDetectionService risk scoring', () => {
+  it('does not lower the score of a leak when advice or a negation is appended', () => {
+    const leak = analyze(LEAK);
+    [`${LEAK}, make sure you rotate it`, `${LEAK}, not a drill`].forEach((content) => {
+      const analysis = analyze(content);
+      expect(analysis.intent).toBe('disclosure');
+      expect(analysis.riskLevel).toBe(leak.riskLevel);
+      expect(analysis.riskExplanation.score).toBe(leak.riskExplanation.score);
+    });
+  });
+
+  it('scores advice below a disclosure of the same terms', () => {
+    const advice = analyze('never share your admin password or api key with anyone');
+    expect(advice.intent).toBe('advice');
+    expect(advice.riskExplanation.score).toBeLessThan(analyze(LEAK).riskExplanation.score);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Document Fingerprint Registry
+ * Keeps winnowed shingle hashes of internal documents (never their text) and finds
+ * posts that quote them. Matches are reported as "partial document match" findings
+ * with the source document ID and the percentage of the document found in the post.
+ */
+
+import { DATA_EXPOSURE_TYPES, FINGERPRINT_CONFIG } from '../config/config';
+import { fingerprint } from './text/winnowing';
+
+class DocumentFingerprintRegistry {
+  constructor(options = {}) {
+    this.config = { ...FINGERPRINT_CONFIG, ...options };
+    // Document id -> { id, title, classification, hashes }
+    this.documents = new Map();
+    // Fingerprint hash -> Set of document ids
+    this.index = new Map();
+  }
+
+  /**
+   * Fingerprint a text with the registry's settings
+   */
+  fingerprint(text) {
+    return fingerprint(text, this.config);
+  }
+
+  /**
+   * Register (or replace) an internal document. Only the hashes are kept.
+   */
+  addDocument(id, text, metadata = {}) {
+    const hashes = [...new Set(this.fingerprint(text).map((print) => print.hash))];
+    if (hashes.length === 0) {
+      throw new Error(`Document "${id}" is too short to fingerprint`);
+    }
+    this.addHashes({
+      id,
+      title: metadata.title || id,
+      classification: metadata.classification || null,
+      hashes,
+    });
+    return this.describe(id);
+  }
+
+  /**
+   * Index a document's precomputed hashes
+   */
+  addHashes(document) {
+    this.removeDocument(document.id);
+    this.documents.set(document.id, { ...document, hashes: [...document.hashes] });
+    document.hashes.forEach((hash) => {
+      if (!this.index.has(hash)) this.index.set(hash, new Set());
+      this.index.get(hash).add(document.id);
+    });
+  }
+
+  /**
+   * Remove a document and its fingerprints
+   */
+  removeDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) return false;
+    document.hashes.forEach((hash) => {
+      const ids = this.index.get(hash);
+      ids.delete(id);
+      if (ids.size === 0) this.index.delete(hash);
+    });
+    return this.documents.delete(id);
+  }
+
+  /**
+   * Document metadata without its hashes
+   */
+  describe(id) {
+    const document = this.documents.get(id);
+    if (!document) return null;
+    return {
+      id: document.id,
+      title: document.title,
+      classification: document.classification,
+      fingerprints: document.hashes.length,
+    };
+  }
+
+  /**
+   * All registered documents
+   */
+  list() {
+    return Array.from(this.documents.keys()).map((id) => this.describe(id));
+  }
+
+  /**
+   * Find registered documents quoted in a text.
+   * Returns `[{ documentId, title, classification, overlap, matchedFingerprints, start, end }]`
+   * where `overlap` is the percentage of the document's fingerprints found in the text and
+   * `start`/`end` span the matching passages.
+   */
+  match(text) {
+    if (this.documents.size === 0) return [];
+
+    const hits = new Map();
+    this.fingerprint(text).forEach((print) => {
+      (this.index.get(print.hash) || []).forEach((id) => {
+        if (!hits.has(id)) hits.set(id, { hashes: new Set(), start: print.start, end: print.end });
+        const hit = hits.get(id);
+        hit.hashes.add(print.hash);
+        hit.start = Math.min(hit.start, print.start);
+        hit.end = Math.max(hit.end, print.end);
+      });
+    });
+
+    return Array.from(hits.entries())
+      .map(([id, hit]) => {
+        const document = this.documents.get(id);
+        return {
+          documentId: id,
+          title: document.title,
+          classification: document.classification,
+          overlap: Number(((hit.hashes.size / document.hashes.length) * 100).toFixed(1)),
+          matchedFingerprints: hit.hashes.size,
+          start: hit.start,
+          end: hit.end,
+        };
+      })
+      .filter(
+        (result) =>
+          result.matchedFingerprints >= this.config.minMatchedFingerprints &&
+          result.overlap >= this.config.minOverlap
+      )
+      .sort((a, b) => b.overlap - a.overlap);
+  }
+
+  /**
+   * Build a detector that reports partial document matches
+   */
+  createDetector() {
+    return {
+      id: 'document-fingerprint',
+      type: 'PARTIAL_DOCUMENT_MATCH',
+      category: 'organization',
+      provider: null,
+      keyType: 'Partial Document Match',
+      severity: 'high',
+      dataType: DATA_EXPOSURE_TYPES.INTELLECTUAL_PROPERTY,
+      detect: (content) =>
+        this.match(content).map((result) => ({
+          match: content.substring(result.start, result.end),
+          index: result.start,
+          validated: true,
+          severity: result.overlap >= this.config.criticalOverlap ? 'critical' : 'high',
+          documentId: result.documentId,
+          documentTitle: result.title,
+          classification: result.classification,
+          overlap: result.overlap,
+          matchedFingerprints: result.matchedFingerprints,
+          ownedAsset: { type: 'document', value: result.documentId },
+        })),
+    };
+  }
+
+  /**
+   * Serializable form (hashes and metadata only)
+   */
+  toJSON() {
+    const { shingleSize, windowSize } = this.config;
+    return {
+      shingleSize,
+      windowSize,
+      documents: Array.from(this.documents.values()),
+    };
+  }
+
+  /**
+   * Load documents saved with toJSON. The shingle settings must match, or the
+   * stored hashes could never match new text.
+   */
+  load(data) {
+    if (
+      data.shingleSize !== this.config.shingleSize ||
+      data.windowSize !== this.config.windowSize
+    ) {
+      throw new Error(
+        `Fingerprints were built with shingleSize ${data.shingleSize} and windowSize ${data.windowSize}`
+      );
+    }
+    data.documents.forEach((document) => this.addHashes(document));
+    return this;
+  }
+}
+
+export default DocumentFingerprintRegistry;
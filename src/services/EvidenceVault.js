@@ -0,0 +1,151 @@
+/**
+ * Evidence Vault
+ * Unredacted finding values, encrypted with AES-GCM through WebCrypto under a key that
+ * never leaves the browser. A value is only read back through reveal(), and every
+ * reveal is logged with who asked, why and when.
+ *
+ * Records are keyed by the salted hash in the value's placeholder (see Redactor).
+ */
+
+const DEFAULT_STORAGE_KEY = 'dataLeakEvidenceRevealLog';
+
+class EvidenceVault {
+  constructor({
+    crypto = globalThis.crypto,
+    key = null,
+    storage = null,
+    storageKey = DEFAULT_STORAGE_KEY,
+  } = {}) {
+    this.crypto = crypto;
+    this.keyPromise = key ? Promise.resolve(key) : null;
+    this.storage = storage;
+    this.storageKey = storageKey;
+    // Hash -> Promise of { id, label, detector, iv, ciphertext, storedAt }
+    this.records = new Map();
+    this.revealLog = storage ? JSON.parse(storage.getItem(storageKey) || '[]') : [];
+  }
+
+  /**
+   * Whether WebCrypto is available to encrypt evidence
+   */
+  isSupported() {
+    return Boolean(this.crypto && this.crypto.subtle);
+  }
+
+  /**
+   * The AES-GCM key, generated (non-extractable) on first use
+   */
+  getKey() {
+    if (!this.keyPromise) {
+      this.keyPromise = this.isSupported()
+        ? this.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, [
+            'encrypt',
+            'decrypt',
+          ])
+        : Promise.reject(new Error('WebCrypto is not available to encrypt evidence'));
+    }
+    return this.keyPromise;
+  }
+
+  /**
+   * Encrypt and keep a value. Returns a promise of the stored record; a value already
+   * stored under the same hash is kept as it is.
+   */
+  store(hash, value, { label = null, detector = null } = {}) {
+    if (!this.records.has(hash)) {
+      const record = this.encrypt(value).then(({ iv, ciphertext }) => ({
+        id: hash,
+        label,
+        detector,
+        iv,
+        ciphertext,
+        storedAt: new Date().toISOString(),
+      }));
+      // A failure is reported by reveal(), not as an unhandled rejection here
+      record.catch(() => {});
+      this.records.set(hash, record);
+    }
+    return this.records.get(hash);
+  }
+
+  has(hash) {
+    return this.records.has(hash);
+  }
+
+  async encrypt(value) {
+    const key = await this.getKey();
+    const iv = this.crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await this.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(value)
+    );
+    return { iv, ciphertext };
+  }
+
+  /**
+   * Decrypt a stored value. `revealedBy` and `reason` are required and logged.
+   */
+  async reveal(hash, { revealedBy, reason } = {}) {
+    if (!revealedBy || !reason) {
+      throw new Error('Revealing evidence needs the name of who reveals it and a reason');
+    }
+    if (!this.records.has(hash)) {
+      throw new Error(`No evidence stored for ${hash}`);
+    }
+    const record = await this.records.get(hash);
+    const key = await this.getKey();
+    const plaintext = await this.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: record.iv },
+      key,
+      record.ciphertext
+    );
+
+    this.revealLog.push({
+      id: hash,
+      label: record.label,
+      detector: record.detector,
+      revealedBy,
+      reason,
+      revealedAt: new Date().toISOString(),
+    });
+    this.save();
+    return new TextDecoder().decode(plaintext);
+  }
+
+  /**
+   * Every reveal so far, oldest first
+   */
+  getRevealLog() {
+    return this.revealLog;
+  }
+
+  /**
+   * Encrypted records for some hashes, to hand to a vault sharing the same key
+   */
+  async export(hashes) {
+    return Promise.all(
+      hashes.filter((hash) => this.has(hash)).map((hash) => this.records.get(hash))
+    );
+  }
+
+  /**
+   * Add records exported from a vault with the same key (e.g. in a detection worker)
+   */
+  import(records) {
+    records.forEach((record) => {
+      if (!this.has(record.id)) this.records.set(record.id, Promise.resolve(record));
+    });
+    return this;
+  }
+
+  /**
+   * Persist the reveal log (records stay in memory: the key does not outlive the page)
+   */
+  save() {
+    if (!this.storage) return;
+    this.storage.setItem(this.storageKey, JSON.stringify(this.revealLog));
+  }
+}
+
+export default EvidenceVault;
@@ -0,0 +1,298 @@
+/**
+ * Exact Data Match Index
+ * Salted hashes of the fields of our customer and employee records, built from CSV
+ * exports. No plaintext is kept: posts are checked by hashing candidate values (table
+ * cells, emails, numbers, short word sequences) and looking them up. Each record found
+ * in a post becomes an "exact data match" finding with the columns that matched.
+ */
+
+import { DATA_EXPOSURE_TYPES, EDM_CONFIG } from '../config/config';
+import { createSalt, sha256 } from './hashing';
+
+const EMAIL_REGEX = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const NUMBER_REGEX = /\+?\d[\d\s().\/-]{4,}\d/g;
+const WORD_REGEX = /[\p{L}\p{N}][\p{L}\p{N}'.-]*/gu;
+const CELL_SEPARATOR_REGEX = /[,;\t|]/;
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting)
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i += 1;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+};
+
+/**
+ * Canonical form of a value: case and spacing folded, phone/ID numbers reduced to digits
+ */
+export const normalizeValue = (value) => {
+  const text = String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+  if (/^[\d\s().+\/-]+$/.test(text) && text.replace(/\D/g, '').length >= 6) {
+    return text.replace(/\D/g, '');
+  }
+  return text.replace(/^["']|["']$/g, '');
+};
+
+class ExactDataMatchIndex {
+  constructor(options = {}) {
+    this.config = { ...EDM_CONFIG, ...options };
+    // Dataset name -> { name, dataType, columns, rowCount }
+    this.datasets = new Map();
+    // Value hash -> [{ dataset, row, column }]
+    this.index = new Map();
+  }
+
+  /**
+   * The salt, generated on first use when none is configured
+   */
+  getSalt() {
+    if (!this.config.salt) this.config.salt = createSalt();
+    return this.config.salt;
+  }
+
+  /**
+   * Salted hash of a normalized value
+   */
+  hash(value) {
+    return sha256(`${this.getSalt()}${normalizeValue(value)}`);
+  }
+
+  /**
+   * Index a CSV export. The first row is the header; `columns` limits indexing to
+   * identifying fields (emails, phone numbers, account IDs, full names).
+   */
+  addCsv(name, csv, { dataType = DATA_EXPOSURE_TYPES.CUSTOMER_DATA, columns } = {}) {
+    const [header, ...rows] = parseCsv(csv);
+    if (!header || rows.length === 0) {
+      throw new Error(`Dataset "${name}" has no records`);
+    }
+    const names = header.map((column) => column.trim());
+    const indexed = columns || names;
+    const unknown = indexed.filter((column) => !names.includes(column));
+    if (unknown.length > 0) {
+      throw new Error(`Dataset "${name}" has no column ${unknown.join(', ')}`);
+    }
+
+    this.removeDataset(name);
+    rows.forEach((fields, row) => {
+      indexed.forEach((column) => {
+        const value = fields[names.indexOf(column)] || '';
+        if (normalizeValue(value).length < this.config.minValueLength) return;
+        this.addEntry(this.hash(value), { dataset: name, row, column });
+      });
+    });
+    this.datasets.set(name, { name, dataType, columns: indexed, rowCount: rows.length });
+    return this.datasets.get(name);
+  }
+
+  /**
+   * Record that a hash belongs to a dataset row and column
+   */
+  addEntry(hash, entry) {
+    if (!this.index.has(hash)) this.index.set(hash, []);
+    this.index.get(hash).push(entry);
+  }
+
+  /**
+   * Remove a dataset and its hashes
+   */
+  removeDataset(name) {
+    if (!this.datasets.has(name)) return false;
+    this.index.forEach((entries, hash) => {
+      const remaining = entries.filter((entry) => entry.dataset !== name);
+      if (remaining.length > 0) this.index.set(hash, remaining);
+      else this.index.delete(hash);
+    });
+    return this.datasets.delete(name);
+  }
+
+  /**
+   * Spans of a text that could be a record field: table cells, emails, numbers and
+   * sequences of up to `maxWordsPerValue` words
+   */
+  candidates(text) {
+    const spans = new Map();
+    const add = (start, value) => {
+      const trimmed = value.trim();
+      if (normalizeValue(trimmed).length < this.config.minValueLength) return;
+      const offset = start + value.indexOf(trimmed);
+      spans.set(`${offset}:${trimmed.length}`, {
+        value: trimmed,
+        start: offset,
+        end: offset + trimmed.length,
+      });
+    };
+    const addAll = (regex) => {
+      const pattern = new RegExp(regex.source, regex.flags);
+      let match;
+      while ((match = pattern.exec(text)) !== null) add(match.index, match[0]);
+    };
+
+    let lineStart = 0;
+    text.split('\n').forEach((line) => {
+      if (CELL_SEPARATOR_REGEX.test(line)) {
+        let cellStart = lineStart;
+        line.split(CELL_SEPARATOR_REGEX).forEach((cell) => {
+          add(cellStart, cell.replace(/"/g, ' ')); // Same length, so offsets still hold
+          cellStart += cell.length + 1;
+        });
+      }
+      lineStart += line.length + 1;
+    });
+    addAll(EMAIL_REGEX);
+    addAll(NUMBER_REGEX);
+
+    const words = [];
+    const wordPattern = new RegExp(WORD_REGEX.source, WORD_REGEX.flags);
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+      words.push({ start: match.index, end: match.index + match[0].length });
+    }
+    words.forEach((word, i) => {
+      for (let n = 0; n < this.config.maxWordsPerValue && i + n < words.length; n += 1) {
+        add(word.start, text.substring(word.start, words[i + n].end));
+      }
+    });
+    return Array.from(spans.values());
+  }
+
+  /**
+   * Find indexed records in a text.
+   * Returns `[{ dataset, dataType, row, columns, cells: [{ column, start, end }] }]`.
+   * Values shared by more than `maxRowsPerValue` records are too common to identify one.
+   */
+  match(text) {
+    if (this.datasets.size === 0 || !text) return [];
+
+    const records = new Map();
+    this.candidates(text).forEach((span) => {
+      const entries = this.index.get(this.hash(span.value));
+      if (!entries || entries.length > this.config.maxRowsPerValue) return;
+      entries.forEach(({ dataset, row, column }) => {
+        const key = `${dataset}:${row}`;
+        if (!records.has(key)) {
+          records.set(key, { dataset, row, columns: new Set(), cells: [] });
+        }
+        const record = records.get(key);
+        if (record.columns.has(column)) return;
+        record.columns.add(column);
+        record.cells.push({ column, start: span.start, end: span.end });
+      });
+    });
+
+    return Array.from(records.values())
+      .filter((record) => record.columns.size >= this.config.minMatchedColumns)
+      .map((record) => ({
+        dataset: record.dataset,
+        dataType: this.datasets.get(record.dataset).dataType,
+        row: record.row,
+        columns: Array.from(record.columns),
+        cells: record.cells.sort((a, b) => a.start - b.start),
+      }));
+  }
+
+  /**
+   * Severity of a post containing `count` records of one dataset
+   */
+  severityFor(count) {
+    if (count >= this.config.criticalRecords) return 'critical';
+    if (count >= this.config.highRecords) return 'high';
+    return 'medium';
+  }
+
+  /**
+   * Build a detector that reports one finding per matched record. Severity grows
+   * with the number of records of the same dataset in the post.
+   */
+  createDetector() {
+    return {
+      id: 'exact-data-match',
+      type: 'EXACT_DATA_MATCH',
+      category: 'pii',
+      provider: null,
+      keyType: 'Exact Data Match',
+      severity: 'medium',
+      detect: (content) => {
+        const records = this.match(content);
+        const counts = records.reduce(
+          (totals, record) => ({ ...totals, [record.dataset]: (totals[record.dataset] || 0) + 1 }),
+          {}
+        );
+        return records.map((record) => {
+          const count = counts[record.dataset];
+          const [first] = record.cells;
+          return {
+            match: content.substring(first.start, first.end),
+            index: first.start,
+            validated: true,
+            severity: this.severityFor(count),
+            dataType: record.dataType,
+            dataset: record.dataset,
+            recordId: `${record.dataset}:${record.row}`,
+            matchedColumns: record.columns,
+            matchedRecordsInDataset: count,
+            ownedAsset: { type: 'record', value: record.dataset },
+          };
+        });
+      },
+    };
+  }
+
+  /**
+   * Serializable form (hashes and dataset metadata only). `saltHash` identifies the salt
+   * without revealing it.
+   */
+  toJSON() {
+    return {
+      saltHash: sha256(this.getSalt()),
+      datasets: Array.from(this.datasets.values()),
+      entries: Array.from(this.index.entries()),
+    };
+  }
+
+  /**
+   * Load an index saved with toJSON, which must have been built with the same salt
+   */
+  load(data) {
+    if (data.saltHash && data.saltHash !== sha256(this.getSalt())) {
+      throw new Error('The index was built with a different salt (set REACT_APP_EDM_SALT)');
+    }
+    data.datasets.forEach((dataset) => this.removeDataset(dataset.name));
+    data.datasets.forEach((dataset) => this.datasets.set(dataset.name, dataset));
+    data.entries.forEach(([hash, entries]) => {
+      entries.forEach((entry) => this.addEntry(hash, entry));
+    });
+    return this;
+  }
+}
+
+export default ExactDataMatchIndex;
@@ -0,0 +1,190 @@
+/**
+ * Image Analysis Service
+ * Runs local OCR (Tesseract WASM) on image attachments and sends the extracted text
+ * through DataLeakDetectionService. Findings carry the bounding boxes of the words
+ * they were read from, in image pixel coordinates.
+ */
+
+import { createWorker } from 'tesseract.js';
+import { OCR_CONFIG } from '../config/config';
+import DataLeakDetectionService from './DataLeakDetectionService';
+
+/**
+ * Union of several `{ x0, y0, x1, y1 }` boxes
+ */
+const unionBoxes = (boxes) =>
+  boxes.reduce((union, box) => ({
+    x0: Math.min(union.x0, box.x0),
+    y0: Math.min(union.y0, box.y0),
+    x1: Math.max(union.x1, box.x1),
+    y1: Math.max(union.y1, box.y1),
+  }));
+
+class ImageAnalysisService {
+  constructor(options = {}) {
+    this.leakDetectionService = options.leakDetectionService || new DataLeakDetectionService();
+    this.ocrConfig = { ...OCR_CONFIG, ...options.ocrConfig };
+    this.createWorker = options.createWorker || createWorker;
+    this.workerPromise = null;
+  }
+
+  /**
+   * Start the OCR worker once and reuse it
+   */
+  getWorker() {
+    if (!this.workerPromise) {
+      const { language, workerPath, corePath, langPath } = this.ocrConfig;
+      this.workerPromise = this.createWorker(language, undefined, {
+        workerPath,
+        corePath,
+        langPath,
+        workerBlobURL: false,
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * OCR an image (URL, File, Blob, canvas, ...) into text plus the position of every word.
+   * Each word records where it sits in the text (`index`, `length`) and on the image (`bbox`).
+   */
+  async extractText(image) {
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(image);
+    const lines = data.lines && data.lines.length > 0 ? data.lines : [{ words: data.words || [] }];
+
+    let text = '';
+    const words = [];
+    lines.forEach((line, lineIndex) => {
+      const lineWords = (line.words || []).filter(
+        (word) => word.confidence >= this.ocrConfig.minWordConfidence && word.text.trim()
+      );
+      lineWords.forEach((word, wordIndex) => {
+        if (wordIndex > 0) text += ' ';
+        words.push({
+          text: word.text,
+          index: text.length,
+          length: word.text.length,
+          line: lineIndex,
+          bbox: word.bbox,
+          confidence: word.confidence,
+        });
+        text += word.text;
+      });
+      if (lineWords.length > 0) text += '\n';
+    });
+
+    return { text, words, confidence: data.confidence };
+  }
+
+  /**
+   * Bounding boxes covering a span of the extracted text, one per OCR line
+   */
+  locateSpan(words, index, length) {
+    const end = index + length;
+    const byLine = new Map();
+    words
+      .filter((word) => word.index < end && index < word.index + word.length)
+      .forEach((word) => {
+        byLine.set(word.line, [...(byLine.get(word.line) || []), word.bbox]);
+      });
+    return Array.from(byLine.values()).map(unionBoxes);
+  }
+
+  /**
+   * Attach image coordinates to a finding or keyword occurrence
+   */
+  withBoundingBoxes(item, words, length) {
+    const boundingBoxes = this.locateSpan(words, item.index, length);
+    return {
+      ...item,
+      boundingBoxes,
+      boundingBox: boundingBoxes.length > 0 ? unionBoxes(boundingBoxes) : null,
+    };
+  }
+
+  /**
+   * Replace OCR words that are part of a redacted finding with the finding's placeholder
+   */
+  redactWords(words, findings) {
+    const redacted = findings.filter((finding) => finding.redacted);
+    return words.map((word) => {
+      const finding = redacted.find(
+        (f) => f.index < word.index + word.length && word.index < f.index + f.rawLength
+      );
+      return finding ? { ...word, text: finding.match } : word;
+    });
+  }
+
+  /**
+   * OCR an image and analyze its text for data leaks
+   */
+  async analyzeImage(image, platform, username, timestamp) {
+    const { text, words, confidence } = await this.extractText(image);
+    const analysis = this.leakDetectionService.analyzeSocialMediaContent(
+      text,
+      platform,
+      username,
+      timestamp
+    );
+    const locateFinding = (finding) =>
+      this.withBoundingBoxes(finding, words, finding.rawLength || finding.match.length);
+    const findings = [
+      ...analysis.suspiciousElements.flatMap((element) => element.findings),
+      ...analysis.suppressedFindings,
+    ];
+
+    return {
+      ...analysis,
+      source: {
+        type: 'image',
+        ocrConfidence: confidence,
+        words: this.redactWords(words, findings),
+      },
+      suspiciousElements: analysis.suspiciousElements.map((element) => ({
+        ...element,
+        findings: element.findings.map(locateFinding),
+      })),
+      suppressedFindings: analysis.suppressedFindings.map(locateFinding),
+      matchedKeywords: analysis.matchedKeywords.map((keyword) => ({
+        ...keyword,
+        occurrences: keyword.occurrences.map((occurrence) =>
+          this.withBoundingBoxes(occurrence, words, occurrence.length)
+        ),
+      })),
+    };
+  }
+
+  /**
+   * Analyze every image attachment of a post (`attachments: [{ type: 'image', url | data }]`)
+   */
+  async analyzePostImages(post, platform = post.platform) {
+    const images = (post.attachments || []).filter((attachment) => attachment.type === 'image');
+    const results = [];
+    for (const attachment of images) {
+      const analysis = await this.analyzeImage(
+        attachment.data || attachment.url,
+        platform,
+        post.author.handle,
+        post.createdAt
+      );
+      results.push({
+        ...analysis,
+        attachment: { url: attachment.url || null, alt: attachment.alt || null },
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Stop the OCR worker
+   */
+  async terminate() {
+    if (!this.workerPromise) return;
+    const worker = await this.workerPromise;
+    this.workerPromise = null;
+    await worker.terminate();
+  }
+}
+
+export default ImageAnalysisService;
@@ -0,0 +1,207 @@
+/**
+ * Leak Clustering Service
+ * Groups analyses of posts that spread the same leak into incidents. Two posts belong to
+ * the same incident when they share a redacted secret (same salted hash), are near
+ * duplicates (SimHash within a few bits) or link to the same URL; grouping is
+ * transitive, so a repost chain ends up in one incident.
+ */
+
+import { CLUSTERING_CONFIG } from '../config/config';
+import { sha256 } from './hashing';
+import { bands, hammingDistance, simhash } from './text/simhash';
+
+const RISK_ORDER = ['low', 'medium', 'high', 'critical'];
+const URL_REGEX = /https?:\/\/[^\s<>"'()[\]]+/gi;
+
+/**
+ * Canonical form of a URL for comparison (lowercase host without www, no fragment,
+ * tracking parameters or trailing slash). Null for site roots, which link nothing.
+ */
+export const normalizeUrl = (raw) => {
+  let url;
+  try {
+    url = new URL(raw.replace(/[.,;:!?]+$/, ''));
+  } catch (error) {
+    return null;
+  }
+  const path = url.pathname.replace(/\/+$/, '');
+  const params = Array.from(url.searchParams.entries()).filter(
+    ([name]) => !name.toLowerCase().startsWith('utm_')
+  );
+  if (!path && params.length === 0) return null;
+  const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+  return `${url.hostname.toLowerCase().replace(/^www\./, '')}${path}${query}`;
+};
+
+const timeOf = (analysis) => {
+  const time = Date.parse(analysis.timestamp);
+  return Number.isNaN(time) ? Infinity : time;
+};
+
+// Stable across runs: derived from the post an incident was first seen in
+const incidentId = ({ platform, username, timestamp, originalContent }) =>
+  `incident-${sha256(`${platform}:${username}:${timestamp}:${originalContent}`).substring(0, 12)}`;
+
+// Disjoint sets over analysis positions
+const createUnionFind = (size) => {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => {
+    let root = i;
+    while (parent[root] !== root) {
+      parent[root] = parent[parent[root]];
+      root = parent[root];
+    }
+    return root;
+  };
+  return {
+    find,
+    union: (a, b) => {
+      parent[find(a)] = find(b);
+    },
+  };
+};
+
+class LeakClusteringService {
+  constructor(options = {}) {
+    this.config = { ...CLUSTERING_CONFIG, ...options };
+  }
+
+  /**
+   * The keys an analysis can share with others: secret hashes, normalized URLs and its SimHash.
+   * Only active findings count: allowlisted values (e.g. documentation example keys) are
+   * quoted by unrelated posts.
+   */
+  keysOf(analysis) {
+    const content = analysis.originalContent || '';
+    const active = new Set(
+      (analysis.suspiciousElements || []).flatMap((element) =>
+        element.findings.filter((finding) => finding.redacted).map((finding) => finding.match)
+      )
+    );
+    const secrets = (analysis.redactions || [])
+      .filter((redaction) => active.has(redaction.placeholder))
+      .map((redaction) => redaction.hash);
+    return {
+      secrets: [...new Set(secrets)],
+      urls: [...new Set((content.match(URL_REGEX) || []).map(normalizeUrl).filter(Boolean))],
+      simhash: simhash(content, this.config),
+    };
+  }
+
+  /**
+   * Group analyses into incidents, most severe first (then most widespread). Every
+   * analysis is in exactly one incident; unrelated posts are incidents of one post.
+   */
+  cluster(analyses) {
+    const keys = analyses.map((analysis) => this.keysOf(analysis));
+    const sets = createUnionFind(analyses.length);
+    // Analysis position -> kinds of link (secret, url, text) it was joined by
+    const reasons = new Map();
+
+    const link = (a, b, reason) => {
+      sets.union(a, b);
+      if (!reasons.has(a)) reasons.set(a, new Set());
+      reasons.get(a).add(reason);
+    };
+
+    // Exact keys: everything sharing a secret or URL joins the first post that had it
+    const firstWith = new Map();
+    keys.forEach(({ secrets, urls }, i) => {
+      [...secrets.map((s) => ['secret', s]), ...urls.map((u) => ['url', u])].forEach(
+        ([kind, value]) => {
+          const key = `${kind}:${value}`;
+          if (firstWith.has(key)) link(i, firstWith.get(key), kind);
+          else firstWith.set(key, i);
+        }
+      );
+    });
+
+    // Near duplicates: compare only posts sharing a SimHash band
+    const bandCount = this.config.maxHammingDistance + 1;
+    const byBand = new Map();
+    keys.forEach(({ simhash: hash }, i) => {
+      if (!hash) return;
+      bands(hash, bandCount).forEach((band) => {
+        (byBand.get(band) || []).forEach((j) => {
+          if (
+            sets.find(i) !== sets.find(j) &&
+            hammingDistance(hash, keys[j].simhash) <= this.config.maxHammingDistance
+          ) {
+            link(i, j, 'text');
+          }
+        });
+        byBand.set(band, [...(byBand.get(band) || []), i]);
+      });
+    });
+
+    const groups = new Map();
+    analyses.forEach((analysis, i) => {
+      const root = sets.find(i);
+      if (!groups.has(root)) groups.set(root, { members: [], keys: [], reasons: new Set() });
+      const group = groups.get(root);
+      group.members.push(analysis);
+      group.keys.push(keys[i]);
+      (reasons.get(i) || []).forEach((reason) => group.reasons.add(reason));
+    });
+
+    return Array.from(groups.values())
+      .map((group) => this.createIncident(group))
+      .sort(
+        (a, b) =>
+          RISK_ORDER.indexOf(b.riskLevel) - RISK_ORDER.indexOf(a.riskLevel) ||
+          b.members.length - a.members.length ||
+          timeOf(a.firstSeen) - timeOf(b.firstSeen)
+      );
+  }
+
+  createIncident({ members: unsorted, keys, reasons }) {
+    const members = [...unsorted].sort((a, b) => timeOf(a) - timeOf(b));
+    const [firstSeen] = members;
+    const last = members[members.length - 1];
+
+    // Keys seen in more than one member are what tie the incident together
+    const shared = (kind) => {
+      const counts = new Map();
+      keys.forEach((key) =>
+        key[kind].forEach((value) => counts.set(value, (counts.get(value) || 0) + 1))
+      );
+      return Array.from(counts.entries())
+        .filter(([, count]) => count > 1)
+        .map(([value]) => value);
+    };
+
+    const redactions = new Map();
+    members.forEach((analysis) =>
+      (analysis.redactions || []).forEach((redaction) => redactions.set(redaction.hash, redaction))
+    );
+
+    return {
+      id: incidentId(firstSeen),
+      firstSeen,
+      firstSeenAt: firstSeen.timestamp || null,
+      lastSeenAt: last.timestamp || null,
+      members,
+      timeline: members.map((analysis) => ({
+        timestamp: analysis.timestamp,
+        platform: analysis.platform,
+        username: analysis.username,
+        riskLevel: analysis.riskLevel,
+      })),
+      platforms: [...new Set(members.map((analysis) => analysis.platform))],
+      riskLevel: members.reduce(
+        (level, analysis) =>
+          RISK_ORDER.indexOf(analysis.riskLevel) > RISK_ORDER.indexOf(level)
+            ? analysis.riskLevel
+            : level,
+        'low'
+      ),
+      dataExposed: [...new Set(members.flatMap((analysis) => analysis.dataExposed))],
+      redactions: Array.from(redactions.values()),
+      linkedBy: Array.from(reasons),
+      sharedSecrets: shared('secrets'),
+      sharedUrls: shared('urls'),
+    };
+  }
+}
+
+export default LeakClusteringService;
@@ -0,0 +1,108 @@
+import DataLeakDetectionService from './DataLeakDetectionService';
+import LeakClusteringService, { normalizeUrl } from './LeakClusteringService';
+import Redactor from './Redactor';
+import SuppressionStore from './SuppressionStore';
+
+const SALE =
+  'Selling the full customer database of a large online store, with emails, phone numbers, ' +
+  'home addresses and hashed passwords for every account created since 2019, contact me on ' +
+  'telegram for samples';
+const REPOST =
+  'RT: selling the full customer database of a large online store with emails, phone ' +
+  'numbers, home addresses and hashed passwords for every account created since 2019. ' +
+  'Contact me on Telegram for samples!';
+
+const SECRET = 'aws_secret_access_key=wJalrXUtnFEMI/K7MDENG/bPxRfiCYzEXAMPLEKX';
+
+const createService = () =>
+  new DataLeakDetectionService({
+    redactor: new Redactor({ salt: 'test' }),
+    suppressionStore: new SuppressionStore(),
+  });
+
+const analyzeWith = (service) => (content, platform, username, timestamp) =>
+  service.analyzeSocialMediaContent(content, platform, username, timestamp);
+
+const clusterIds = (incidents, analyses) =>
+  analyses.map((analysis) =>
+    incidents.findIndex((incident) => incident.members.includes(analysis))
+  );
+
+describe('normalizeUrl', () => {
+  it('drops www, tracking parameters, fragments and trailing slashes', () => {
+    expect(normalizeUrl('https://WWW.Example.com/leak/?utm_source=x&id=1#top')).toBe(
+      'example.com/leak?id=1'
+    );
+    expect(normalizeUrl('http://example.com/leak.')).toBe('example.com/leak');
+  });
+
+  it('returns null for site roots and invalid URLs', () => {
+    expect(normalizeUrl('https://example.com/')).toBeNull();
+    expect(normalizeUrl('not a url')).toBeNull();
+  });
+});
+
+describe('LeakClusteringService', () => {
+  const clustering = new LeakClusteringService();
+
+  it('groups posts sharing a secret, a URL or near-duplicate text', () => {
+    const analyze = analyzeWith(createService());
+    const analyses = [
+      analyze(`deploy config ${SECRET}`, 'twitter', 'a', '2024-05-07T10:00:00Z'),
+      analyze(`found this on a forum: ${SECRET}`, 'reddit', 'b', '2024-05-07T11:00:00Z'),
+      analyze(
+        'full dump here https://www.paste.example/abc?utm_source=tw',
+        'twitter',
+        'c',
+        '2024-05-08T10:00:00Z'
+      ),
+      analyze('mirror: https://paste.example/abc/', 'darkweb', 'd', '2024-05-08T12:00:00Z'),
+      analyze(SALE, 'darkweb', 'e', '2024-05-09T10:00:00Z'),
+      analyze(REPOST, 'telegram', 'f', '2024-05-09T11:00:00Z'),
+      analyze(
+        'lovely weather for the company picnic today',
+        'twitter',
+        'g',
+        '2024-05-10T10:00:00Z'
+      ),
+    ];
+    const incidents = clustering.cluster(analyses);
+    const ids = clusterIds(incidents, analyses);
+
+    expect(incidents).toHaveLength(4);
+    expect(ids[0]).toBe(ids[1]);
+    expect(ids[2]).toBe(ids[3]);
+    expect(ids[4]).toBe(ids[5]);
+    expect(new Set(ids).size).toBe(4);
+
+    const bySecret = incidents[ids[0]];
+    expect(bySecret.linkedBy).toEqual(['secret']);
+    expect(bySecret.platforms).toEqual(['twitter', 'reddit']);
+    expect(bySecret.firstSeen).toBe(analyses[0]);
+    expect(bySecret.sharedSecrets).toHaveLength(1);
+    expect(incidents[ids[2]].sharedUrls).toEqual(['paste.example/abc']);
+    expect(incidents[ids[4]].linkedBy).toEqual(['text']);
+  });
+
+  it('does not group posts on a value marked as a false positive', () => {
+    const service = createService();
+    const analyze = analyzeWith(service);
+    const [finding] = analyze(SECRET, 'twitter', 'a', null).suspiciousElements[0].findings;
+    service.markAsFalsePositive(finding);
+
+    const analyses = [
+      analyze(`docs example: ${SECRET}`, 'twitter', 'a', '2024-05-07T10:00:00Z'),
+      analyze(`copied from the docs ${SECRET}`, 'reddit', 'b', '2024-05-07T11:00:00Z'),
+    ];
+    expect(clustering.cluster(analyses)).toHaveLength(2);
+  });
+
+  it('gives incidents an id derived from their first post', () => {
+    const analyze = analyzeWith(createService());
+    const analysis = analyze(SECRET, 'twitter', 'a', '2024-05-07T10:00:00Z');
+    const [first] = clustering.cluster([analysis]);
+    const [again] = clustering.cluster([{ ...analysis }]);
+    expect(first.id).toMatch(/^incident-[0-9a-f]{12}$/);
+    expect(again.id).toBe(first.id);
+  });
+});
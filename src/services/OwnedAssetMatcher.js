@@ -0,0 +1,171 @@
+/**
+ * Owned Asset Matcher
+ * Matches detector findings against the organization profile so that only
+ * exposures of our own domains, networks, hosts and keys raise risk
+ */
+
+import { ORGANIZATION_PROFILE } from '../config/organizationProfile';
+
+const IPV4_REGEX = /^(?:[0-9]{1,3}\.){3}[0-9]{1,3}$/;
+const HOST_IN_TEXT_REGEX = /(?:[a-z0-9-]+\.)+[a-z]{2,}/gi;
+
+/**
+ * Convert a dotted IPv4 address to an unsigned 32-bit integer (null if invalid)
+ */
+const ipToInt = (ip) => {
+  const octets = ip.split('.').map(Number);
+  if (octets.length !== 4 || octets.some((octet) => octet > 255)) return null;
+  return octets.reduce((value, octet) => value * 256 + octet, 0);
+};
+
+/**
+ * Parse `a.b.c.d/n` into a network address and mask length
+ */
+const parseCidr = (cidr) => {
+  const [ip, bits = '32'] = cidr.split('/');
+  return { cidr, network: ipToInt(ip), bits: Number(bits) };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class OwnedAssetMatcher {
+  constructor(profile = ORGANIZATION_PROFILE) {
+    this.profile = profile;
+    this.cidrs = (profile.cidrRanges || []).map(parseCidr).filter((c) => c.network !== null);
+  }
+
+  /**
+   * Check whether an IPv4 address falls inside one of our CIDR ranges
+   */
+  matchIp(ip) {
+    const address = ipToInt(ip);
+    if (address === null) return null;
+    const range = this.cidrs.find(({ network, bits }) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(address / size) === Math.floor(network / size);
+    });
+    return range ? { type: 'cidr', value: range.cidr } : null;
+  }
+
+  /**
+   * Check a hostname against our domains and internal hostnames
+   */
+  matchHost(host) {
+    if (!host) return null;
+    const hostname = host.toLowerCase();
+    if (IPV4_REGEX.test(hostname)) return this.matchIp(hostname);
+
+    const internal = (this.profile.internalHostnames || []).find((pattern) => {
+      const candidate = pattern.toLowerCase();
+      return candidate.startsWith('*.')
+        ? hostname.endsWith(candidate.substring(1))
+        : hostname === candidate;
+    });
+    if (internal) return { type: 'hostname', value: internal };
+
+    const domain = (this.profile.domains || []).find(
+      (d) => hostname === d.toLowerCase() || hostname.endsWith(`.${d.toLowerCase()}`)
+    );
+    return domain ? { type: 'domain', value: domain } : null;
+  }
+
+  /**
+   * Check an email address against our email domains
+   */
+  matchEmail(email) {
+    const domain = email.substring(email.lastIndexOf('@') + 1).toLowerCase();
+    const owned = (this.profile.emailDomains || []).find((d) => domain === d.toLowerCase());
+    return owned ? { type: 'emailDomain', value: owned } : null;
+  }
+
+  /**
+   * Check a credential against our known key-id prefixes
+   */
+  matchKeyPrefix(value) {
+    const prefix = (this.profile.keyPrefixes || []).find((p) => value.startsWith(p));
+    return prefix ? { type: 'keyPrefix', value: prefix } : null;
+  }
+
+  /**
+   * Find which of our assets (if any) a finding exposes
+   */
+  match(finding) {
+    if (finding.ownedAsset) return finding.ownedAsset;
+
+    switch (finding.type) {
+      case 'IP_ADDRESS':
+        return this.matchIp(finding.match);
+      case 'EMAIL_ADDRESS':
+        return this.matchEmail(finding.match);
+      case 'DATABASE_CONNECTION':
+      case 'URL_CREDENTIALS':
+        return this.matchHost(finding.host);
+      default:
+        break;
+    }
+
+    if (finding.category === 'secret') {
+      const prefixMatch = this.matchKeyPrefix(finding.match);
+      if (prefixMatch) return prefixMatch;
+    }
+
+    // Fall back to any of our hostnames inside the matched text (webhooks, URLs, ...)
+    const hosts = finding.match.match(HOST_IN_TEXT_REGEX) || [];
+    return hosts.map((host) => this.matchHost(host)).find(Boolean) || null;
+  }
+
+  /**
+   * Build a detector for mentions of internal hostnames, codenames and executives
+   */
+  createMentionDetector() {
+    const terms = [
+      ...(this.profile.internalHostnames || []).map((value) => ({
+        value,
+        source: value.startsWith('*.')
+          ? `(?:[a-z0-9-]+\\.)+${escapeRegExp(value.substring(2))}`
+          : escapeRegExp(value),
+        type: 'hostname',
+        severity: 'high',
+      })),
+      ...(this.profile.productCodenames || []).map((value) => ({
+        value,
+        source: escapeRegExp(value),
+        type: 'codename',
+        severity: 'high',
+      })),
+      ...(this.profile.executives || []).map((value) => ({
+        value,
+        source: escapeRegExp(value),
+        type: 'executive',
+        severity: 'medium',
+      })),
+    ];
+
+    return {
+      id: 'organization-mention',
+      type: 'INTERNAL_REFERENCE',
+      category: 'organization',
+      provider: this.profile.name || null,
+      keyType: 'Internal Reference',
+      severity: 'medium',
+      detect: (content) =>
+        terms.flatMap((term) => {
+          const regex = new RegExp(`\\b${term.source}\\b`, 'gi');
+          const results = [];
+          let match;
+          while ((match = regex.exec(content)) !== null) {
+            results.push({
+              match: match[0],
+              index: match.index,
+              severity: term.severity,
+              validated: true,
+              ownedAsset: { type: term.type, value: term.value },
+            });
+          }
+          return results;
+        }),
+    };
+  }
+}
+
+export default OwnedAssetMatcher;
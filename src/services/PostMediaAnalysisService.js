@@ -0,0 +1,154 @@
+/**
+ * Post Media Analysis Service
+ * Analyzes what a post carries besides its text (image attachments, read with OCR, file
+ * attachments, unpacked, and the files and commits of a repository) and folds the
+ * findings into the post's analysis, so a leak shown only in a screenshot, a zip or a
+ * commit raises the post's risk like one written out in the text.
+ */
+
+import AttachmentAnalysisService from './AttachmentAnalysisService';
+import CodeScanService from './CodeScanService';
+import ImageAnalysisService from './ImageAnalysisService';
+
+// Content analyses making up a media analysis: attachments have one per extracted file
+const contentAnalyses = ({ type, analysis }) =>
+  type === 'file' ? analysis.files.map((file) => file.analysis) : [analysis];
+
+class PostMediaAnalysisService {
+  /**
+   * `leakDetectionService` is the configured DataLeakDetectionService that analyzed the
+   * post's text; media are analyzed with it too.
+   */
+  constructor(leakDetectionService, options = {}) {
+    this.leakDetectionService = leakDetectionService;
+    this.imageAnalysisService =
+      options.imageAnalysisService || new ImageAnalysisService({ leakDetectionService });
+    // Images inside attachments are read with the same OCR worker
+    this.attachmentAnalysisService =
+      options.attachmentAnalysisService ||
+      new AttachmentAnalysisService({
+        leakDetectionService,
+        imageAnalysisService: this.imageAnalysisService,
+        limits: options.limits,
+      });
+    this.codeScanService = options.codeScanService || new CodeScanService({ leakDetectionService });
+  }
+
+  /**
+   * Analyze one attachment of a post: images with OCR, files by unpacking them
+   */
+  analyzeAttachment(attachment, post) {
+    const args = [post.platform, post.author.handle, post.createdAt];
+    return attachment.type === 'image'
+      ? this.imageAnalysisService.analyzeImage(attachment.data || attachment.url, ...args)
+      : this.attachmentAnalysisService.analyzeAttachment(attachment, ...args);
+  }
+
+  /**
+   * Analyze every image and file attachment of a canonical post, and the repository of a
+   * GitHub post (its payload's `files` and `commitHistory`, see CodeScanService). Each
+   * result is `{ type, name, analysis }`, or `{ type, name, error }` when the media could
+   * not be read.
+   */
+  async analyzeMedia(post) {
+    const media = [];
+    if (post.raw.files || post.raw.commitHistory) {
+      const name = post.title || post.id;
+      try {
+        media.push({
+          type: 'repository',
+          name,
+          analysis: this.codeScanService.scanRepositoryPost(post),
+        });
+      } catch (error) {
+        media.push({ type: 'repository', name, error: error.message });
+      }
+    }
+
+    const attachments = post.attachments.filter(
+      (attachment) => attachment.type === 'image' || attachment.type === 'file'
+    );
+    for (const attachment of attachments) {
+      const { type } = attachment;
+      const name = attachment.name || attachment.url || type;
+      try {
+        media.push({ type, name, analysis: await this.analyzeAttachment(attachment, post) });
+      } catch (error) {
+        media.push({ type, name, error: error.message });
+      }
+    }
+    return media;
+  }
+
+  /**
+   * The post's analysis with the findings of its media added. Findings keep the media
+   * they came from as `media: { type, name }`. Risk and confidence are scored again over
+   * all findings, with the scoring policy version the text was scored with.
+   */
+  mergeMedia(analysis, media) {
+    const analyzed = media.filter((item) => item.analysis);
+    if (analyzed.length === 0) return { ...analysis, media };
+
+    const tag = (item) => (finding) => ({
+      ...finding,
+      media: { type: item.type, name: item.name },
+    });
+    const sources = analyzed.flatMap((item) =>
+      contentAnalyses(item).map((content) => ({ item, content }))
+    );
+    const findings = [
+      ...analysis.suspiciousElements.flatMap((element) => element.findings),
+      ...sources.flatMap(({ item, content }) =>
+        content.suspiciousElements.flatMap((element) => element.findings.map(tag(item)))
+      ),
+    ];
+    const redactions = new Map(
+      [analysis, ...sources.map(({ content }) => content)]
+        .flatMap((source) => source.redactions)
+        .map((redaction) => [redaction.hash, redaction])
+    );
+
+    const service = this.leakDetectionService;
+    const merged = {
+      ...analysis,
+      dataExposed: [
+        ...new Set([
+          ...analysis.dataExposed,
+          ...analyzed.flatMap((item) => item.analysis.dataExposed),
+        ]),
+      ],
+      suspiciousElements: service.groupFindings(findings),
+      suppressedFindings: [
+        ...analysis.suppressedFindings,
+        ...sources.flatMap(({ item, content }) => content.suppressedFindings.map(tag(item))),
+      ],
+      redactions: [...redactions.values()],
+      media,
+    };
+    const confidenceExplanation = service.explainConfidenceScore(
+      merged.matchedKeywords,
+      merged.suspiciousElements
+    );
+    return {
+      ...service.rescoreAnalysis(merged, analysis.policyVersion),
+      confidenceScore: confidenceExplanation.score,
+      confidenceExplanation,
+    };
+  }
+
+  /**
+   * Analyze a post's media and merge the findings into `analysis`, the analysis of its text
+   */
+  async analyzePost(post, analysis) {
+    return this.mergeMedia(analysis, await this.analyzeMedia(post));
+  }
+
+  /**
+   * Stop the OCR worker, if one was started
+   */
+  async terminate() {
+    await this.imageAnalysisService.terminate();
+  }
+}
+
+export default PostMediaAnalysisService;
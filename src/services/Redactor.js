@@ -0,0 +1,142 @@
+/**
+ * Redactor
+ * Replaces the values of sensitive findings with typed placeholders carrying a salted
+ * hash, e.g. `[AWS_SECRET_ACCESS_KEY:ab12…]`. The same value always gets the same
+ * placeholder, so repeated leaks of one secret can still be recognized.
+ */
+
+import { REDACTION_CONFIG, UtilityFunctions } from '../config/config';
+import { createSalt, sha256 } from './hashing';
+
+const DEFAULT_STORAGE_KEY = 'dataLeakRedactionSalt';
+
+// Replace every raw value in every string of a value (objects and arrays are copied)
+const replaceDeep = (value, replacements) => {
+  if (typeof value === 'string') {
+    return replacements.reduce(
+      (text, [raw, placeholder]) => (text.includes(raw) ? text.split(raw).join(placeholder) : text),
+      value
+    );
+  }
+  if (Array.isArray(value)) return value.map((item) => replaceDeep(item, replacements));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, replaceDeep(item, replacements)])
+    );
+  }
+  return value;
+};
+
+// Masked matches (e.g. connection strings) are redacted as their whole original span
+const rawValue = (content, finding) =>
+  finding.rawLength
+    ? content.substring(finding.index, finding.index + finding.rawLength)
+    : finding.match;
+
+class Redactor {
+  /**
+   * Without a configured salt, one is generated on first use and kept in `storage`
+   * (e.g. localStorage), so placeholders and false-positive hashes survive reloads
+   */
+  constructor(options = {}, { storage = null, storageKey = DEFAULT_STORAGE_KEY } = {}) {
+    this.config = { ...REDACTION_CONFIG, ...options };
+    this.storage = storage;
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * The configured salt, else the stored one, else a new one
+   */
+  getSalt() {
+    if (!this.config.salt) {
+      const stored = this.storage && this.storage.getItem(this.storageKey);
+      this.config.salt = stored || createSalt();
+      if (this.storage && !stored) this.storage.setItem(this.storageKey, this.config.salt);
+    }
+    return this.config.salt;
+  }
+
+  /**
+   * Salted hash of a value, as shown in its placeholder
+   */
+  hash(value) {
+    return sha256(`${this.getSalt()}${value}`);
+  }
+
+  /**
+   * Salted hash of a finding's value in `content`. Masked matches (card numbers,
+   * connection strings) are hashed unmasked, so values sharing their visible part differ.
+   */
+  matchHash(content, finding) {
+    return this.hash(rawValue(content, finding));
+  }
+
+  shouldRedact(finding) {
+    return this.config.categories.includes(finding.category);
+  }
+
+  /**
+   * Placeholder type for a finding, from its provider and key type (or its type)
+   */
+  label(finding) {
+    const name = [finding.provider, finding.keyType].filter(Boolean).join(' ') || finding.type;
+    return name
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Prepare the redaction of a text's findings. Returns:
+   *   redactions    - `{ placeholder, hash, label, detector }` per distinct value
+   *   evidence      - the same with the raw `value`, for the evidence vault only
+   *   redactFinding - copy of a finding with its match replaced (keeps `matchHash`, the
+   *                   salted hash of the value suppressions use, and `rawLength` for
+   *                   locating it)
+   *   apply         - copy of any value with every raw value replaced in its strings
+   */
+  redact(content, findings) {
+    const byValue = new Map();
+    findings
+      .filter((finding) => this.shouldRedact(finding))
+      .forEach((finding) => {
+        const value = rawValue(content, finding);
+        if (!value || byValue.has(value)) return;
+        const hash = this.hash(value);
+        const label = this.label(finding);
+        byValue.set(value, {
+          placeholder: UtilityFunctions.redact(label, hash),
+          hash,
+          label,
+          detector: finding.detector,
+        });
+      });
+
+    // Longest first, so a value containing another is replaced whole
+    const replacements = Array.from(byValue.entries())
+      .map(([value, redaction]) => [value, redaction.placeholder])
+      .sort((a, b) => b[0].length - a[0].length);
+
+    return {
+      redactions: Array.from(byValue.values()),
+      evidence: Array.from(byValue.entries()).map(([value, redaction]) => ({
+        ...redaction,
+        value,
+      })),
+      redactFinding: (finding) => {
+        const redaction = this.shouldRedact(finding) && byValue.get(rawValue(content, finding));
+        if (!redaction) return replaceDeep(finding, replacements);
+        return {
+          ...replaceDeep(finding, replacements),
+          match: redaction.placeholder,
+          matchHash: this.matchHash(content, finding),
+          rawLength: finding.rawLength || finding.match.length,
+          redacted: true,
+        };
+      },
+      apply: (value) => replaceDeep(value, replacements),
+    };
+  }
+}
+
+export default Redactor;
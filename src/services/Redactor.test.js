@@ -0,0 +1,62 @@
+import DataLeakDetectionService from './DataLeakDetectionService';
+import Redactor from './Redactor';
+import SuppressionStore from './SuppressionStore';
+
+// Two cards with the same BIN and last four digits, so the same masked PAN
+const CARD = '4111111111111111';
+const OTHER_CARD = '4111111000071111';
+
+const createService = () =>
+  new DataLeakDetectionService({
+    redactor: new Redactor({ salt: 'test' }),
+    suppressionStore: new SuppressionStore(),
+  });
+
+const cardFindings = (analysis) =>
+  analysis.suspiciousElements
+    .filter((element) => element.detector === 'payment-card')
+    .flatMap((element) => element.findings);
+
+describe('Redactor', () => {
+  const redactor = new Redactor({ salt: 'test' });
+
+  it('gives a value the same placeholder every time', () => {
+    const finding = { category: 'secret', type: 'API_KEY', match: 'abc123secret', index: 4 };
+    const first = redactor.redact('key abc123secret', [finding]);
+    const second = redactor.redact('abc123secret', [{ ...finding, index: 0 }]);
+    expect(first.redactions[0].placeholder).toBe(second.redactions[0].placeholder);
+    expect(first.apply('key abc123secret')).toBe(`key ${first.redactions[0].placeholder}`);
+  });
+
+  it('mixes the salt into hashes', () => {
+    expect(new Redactor({ salt: 'other' }).hash('value')).not.toBe(redactor.hash('value'));
+  });
+
+  it('hashes masked matches unmasked', () => {
+    const finding = { category: 'financial', type: 'CREDIT_CARD', match: '411111******1111' };
+    const content = `${CARD} ${OTHER_CARD}`;
+    const first = redactor.matchHash(content, { ...finding, index: 0, rawLength: 16 });
+    const second = redactor.matchHash(content, { ...finding, index: 17, rawLength: 16 });
+    expect(first).toBe(redactor.hash(CARD));
+    expect(second).not.toBe(first);
+  });
+});
+
+describe('false positives on payment cards', () => {
+  it('tells apart cards sharing their masked number', () => {
+    const service = createService();
+    const [card, otherCard] = cardFindings(
+      service.analyzeSocialMediaContent(`cards ${CARD} and ${OTHER_CARD}`, 'twitter', 'a', null)
+    );
+    expect([card.bin, card.last4]).toEqual([otherCard.bin, otherCard.last4]);
+    expect(card.matchHash).not.toBe(otherCard.matchHash);
+
+    service.markAsFalsePositive(card);
+    expect(
+      cardFindings(service.analyzeSocialMediaContent(`test card ${CARD}`, 'twitter', 'b', null))
+    ).toEqual([]);
+    expect(
+      cardFindings(service.analyzeSocialMediaContent(`card ${OTHER_CARD}`, 'twitter', 'b', null))
+    ).toHaveLength(1);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Scoring Policy Store
+ * Keeps every version of the scoring policy. Updates never change an existing version:
+ * they add a new one, so an analysis scored with version N can be re-scored with the
+ * same weights later and compared against the current ones.
+ */
+
+import Ajv from 'ajv';
+import { DEFAULT_SCORING_POLICY } from '../config/scoringPolicy';
+
+const DEFAULT_STORAGE_KEY = 'dataLeakScoringPolicy';
+
+const LEVELS = ['critical', 'high', 'medium', 'low'];
+const points = { type: 'number' };
+const nonNegative = { type: 'number', minimum: 0 };
+const levelPoints = {
+  type: 'object',
+  required: LEVELS,
+  properties: Object.fromEntries(LEVELS.map((level) => [level, nonNegative])),
+  additionalProperties: false,
+};
+
+export const SCORING_POLICY_SCHEMA = {
+  type: 'object',
+  required: ['version', 'risk', 'threat'],
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    updatedAt: { type: ['string', 'null'] },
+    updatedBy: { type: ['string', 'null'] },
+    risk: {
+      type: 'object',
+      required: [
+        'severityPoints',
+        'ownedAssetPoints',
+        'ownedAssetCap',
+        'keywordPoints',
+        'keywordCap',
+        'dataTypePoints',
+        'intentAdjustments',
+        'thresholds',
+      ],
+      properties: {
+        severityPoints: levelPoints,
+        ownedAssetPoints: nonNegative,
+        ownedAssetCap: nonNegative,
+        keywordPoints: nonNegative,
+        keywordCap: nonNegative,
+        dataTypePoints: nonNegative,
+        intentAdjustments: { type: 'object', additionalProperties: points },
+        thresholds: {
+          type: 'object',
+          required: ['critical', 'high', 'medium'],
+          properties: { critical: points, high: points, medium: points },
+          additionalProperties: false,
+        },
+      },
+      additionalProperties: false,
+    },
+    threat: {
+      type: 'object',
+      required: [
+        'riskLevelPoints',
+        'engagementPoints',
+        'engagementCap',
+        'platformFactors',
+        'sensitiveDataTypes',
+        'sensitiveDataPoints',
+      ],
+      properties: {
+        riskLevelPoints: levelPoints,
+        engagementPoints: nonNegative,
+        engagementCap: nonNegative,
+        platformFactors: { type: 'object', additionalProperties: nonNegative },
+        sensitiveDataTypes: { type: 'array', items: { type: 'string', minLength: 1 } },
+        sensitiveDataPoints: nonNegative,
+      },
+      additionalProperties: false,
+    },
+  },
+  additionalProperties: false,
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+const validatePolicySchema = ajv.compile(SCORING_POLICY_SCHEMA);
+
+/**
+ * Thrown when a policy is invalid; `errors` lists every problem found
+ */
+export class PolicyValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid scoring policy:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'PolicyValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check a policy against the schema and the ordering of its thresholds
+ */
+export const validatePolicy = (policy) => {
+  const errors = validatePolicySchema(policy)
+    ? []
+    : validatePolicySchema.errors.map(
+        (error) =>
+          `${error.instancePath.substring(1).replace(/\//g, '.') || 'policy'} ${error.message}`
+      );
+  const thresholds = policy.risk && policy.risk.thresholds;
+  if (
+    errors.length === 0 &&
+    !(thresholds.critical > thresholds.high && thresholds.high > thresholds.medium)
+  ) {
+    errors.push('risk.thresholds must decrease from critical to high to medium');
+  }
+  if (errors.length > 0) throw new PolicyValidationError(errors);
+  return policy;
+};
+
+/**
+ * Merge edits into a policy section by section
+ */
+const mergePolicy = (policy, changes) => ({
+  ...policy,
+  risk: { ...policy.risk, ...(changes.risk || {}) },
+  threat: { ...policy.threat, ...(changes.threat || {}) },
+});
+
+class ScoringPolicyStore {
+  constructor(
+    policy = DEFAULT_SCORING_POLICY,
+    { storage = null, storageKey = DEFAULT_STORAGE_KEY } = {}
+  ) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.versions = [validatePolicy(policy)];
+    // Stored versions that could not be restored: `{ version, errors }`
+    this.skipped = [];
+    if (storage) this.restore();
+  }
+
+  /**
+   * Load the versions kept in storage. Fields added to the policy since a version was
+   * saved take their current value; versions still invalid are skipped (and listed in
+   * `skipped`) so a stale entry cannot break every page that scores.
+   */
+  restore() {
+    let stored;
+    try {
+      stored = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+    } catch (error) {
+      this.skipped.push({
+        version: null,
+        errors: [`stored versions are unreadable: ${error.message}`],
+      });
+      return;
+    }
+    const base = this.versions[0];
+    (Array.isArray(stored) ? stored : []).forEach((version) => {
+      try {
+        this.load([
+          {
+            ...version,
+            risk: { ...base.risk, ...version.risk },
+            threat: { ...base.threat, ...version.threat },
+          },
+        ]);
+      } catch (error) {
+        this.skipped.push({
+          version: (version && version.version) || null,
+          errors: error.errors || [error.message],
+        });
+      }
+    });
+  }
+
+  /**
+   * Add versions saved elsewhere (e.g. from list()) that are newer than the current one
+   */
+  load(versions) {
+    versions.forEach((version) => {
+      if (version.version > this.get().version) this.versions.push(validatePolicy(version));
+    });
+    return this;
+  }
+
+  /**
+   * The current policy
+   */
+  get() {
+    return this.versions[this.versions.length - 1];
+  }
+
+  /**
+   * A specific version of the policy, or null if it is unknown
+   */
+  getVersion(version) {
+    return this.versions.find((policy) => policy.version === version) || null;
+  }
+
+  /**
+   * Every version, oldest first
+   */
+  list() {
+    return this.versions;
+  }
+
+  /**
+   * Save edits (`{ risk: {...}, threat: {...} }`) as a new version and persist it
+   */
+  update(changes, { updatedBy = null } = {}) {
+    const current = this.get();
+    const next = validatePolicy({
+      ...mergePolicy(current, changes),
+      version: current.version + 1,
+      updatedAt: new Date().toISOString(),
+      updatedBy,
+    });
+    this.versions.push(next);
+    this.save();
+    return next;
+  }
+
+  /**
+   * Go back to the default weights, as a new version
+   */
+  reset(options = {}) {
+    return this.update(
+      { risk: DEFAULT_SCORING_POLICY.risk, threat: DEFAULT_SCORING_POLICY.threat },
+      options
+    );
+  }
+
+  /**
+   * Persist the versions added after the initial policy
+   */
+  save() {
+    if (!this.storage) return;
+    this.storage.setItem(this.storageKey, JSON.stringify(this.versions.slice(1)));
+  }
+}
+
+export default ScoringPolicyStore;
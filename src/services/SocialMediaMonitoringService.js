@@ -1,31 +1,44 @@
 /**
  * Social Media Platform Integration
- * Handles data collection and monitoring across multiple social platforms
+ * Handles data collection and monitoring across multiple social platforms, each reached
+ * through a connector (see connectors/ConnectorRegistry)
  */
 
+import { createDefaultConnectorRegistry, validatePosts } from './connectors';
+
 class SocialMediaMonitoringService {
-  constructor(apiKeys = {}) {
+  /**
+   * `apiKeys` maps platform ids to the key handed to that platform's connector
+   */
+  constructor(apiKeys = {}, { connectors = createDefaultConnectorRegistry() } = {}) {
     this.apiKeys = apiKeys;
-    this.platforms = {
-      TWITTER: 'twitter',
-      LINKEDIN: 'linkedin',
-      REDDIT: 'reddit',
-      FACEBOOK: 'facebook',
-      INSTAGRAM: 'instagram',
-      GITHUB: 'github',
-      DARK_WEB: 'darkweb',
-    };
+    this.connectors = connectors;
     this.activeMonitoring = new Map();
     this.collectedData = [];
   }
 
+  /**
+   * Add a platform, or replace the connector of one (see ConnectorRegistry)
+   */
+  registerConnector(connector) {
+    this.connectors.register(connector);
+    return this;
+  }
+
+  /**
+   * Ids of the platforms that have a connector
+   */
+  getPlatforms() {
+    return this.connectors.list().map((connector) => connector.id);
+  }
+
   /**
    * Initialize monitoring for specific keywords across all platforms
    */
   initializeKeywordMonitoring(keywords) {
     const monitoring = {
       keywords,
-      platforms: Object.values(this.platforms),
+      platforms: this.getPlatforms(),
       status: 'ACTIVE',
       startTime: new Date(),
       results: [],
@@ -47,7 +60,7 @@ class SocialMediaMonitoringService {
    * Search for specific terms across platforms
    */
   async searchPlatforms(query, platforms = null, options = {}) {
-    const targetPlatforms = platforms || Object.values(this.platforms);
+    const targetPlatforms = platforms || this.getPlatforms();
     const results = {
       query,
       timestamp: new Date(),
@@ -73,298 +86,74 @@ class SocialMediaMonitoringService {
   }
 
   /**
-   * Search individual platform
+   * Search individual platform through its connector
    */
   async searchPlatform(platform, query, options = {}) {
     const { limit = 50, timeframe = '7d' } = options;
-
-    // Simulate API calls - In production, use actual API clients
-    const baseResults = {
-      platform,
-      query,
-      count: 0,
-      posts: [],
-      timestamp: new Date(),
-    };
-
-    switch (platform) {
-      case this.platforms.TWITTER:
-        return this.searchTwitter(query, { limit, timeframe });
-      case this.platforms.LINKEDIN:
-        return this.searchLinkedIn(query, { limit, timeframe });
-      case this.platforms.REDDIT:
-        return this.searchReddit(query, { limit, timeframe });
-      case this.platforms.GITHUB:
-        return this.searchGitHub(query, { limit, timeframe });
-      case this.platforms.FACEBOOK:
-        return this.searchFacebook(query, { limit, timeframe });
-      case this.platforms.INSTAGRAM:
-        return this.searchInstagram(query, { limit, timeframe });
-      case this.platforms.DARK_WEB:
-        return this.searchDarkWeb(query, { limit, timeframe });
-      default:
-        return baseResults;
+    const connector = this.connectors.get(platform);
+    if (!connector) {
+      return { platform, query, count: 0, posts: [], timestamp: new Date() };
     }
-  }
-
-  /**
-   * Twitter search implementation
-   */
-  searchTwitter(query) {
-    return {
-      platform: this.platforms.TWITTER,
-      query,
-      count: 34,
-      posts: [
-        {
-          id: 'tw_1',
-          author: '@hacker_001',
-          content: `Found ${query} exposed in GitHub: [link]`,
-          timestamp: new Date(),
-          engagement: 1230,
-          retweets: 450,
-          likes: 780,
-          replies: 100,
-          isVerified: false,
-          followers: 45000,
-          sentiment: 'negative',
-        },
-        {
-          id: 'tw_2',
-          author: '@security_researcher',
-          content: `New vulnerability affecting ${query} discovered`,
-          timestamp: new Date(Date.now() - 86400000),
-          engagement: 890,
-          retweets: 320,
-          likes: 570,
-          replies: 150,
-          isVerified: true,
-          followers: 125000,
-          sentiment: 'negative',
-        },
-      ],
-      apiEndpoint: '/search/tweets',
-      rateLimit: { remaining: 450, reset: Date.now() + 900000 },
-    };
-  }
-
-  /**
-   * LinkedIn search implementation
-   */
-  searchLinkedIn(query) {
-    return {
-      platform: this.platforms.LINKEDIN,
-      query,
-      count: 28,
-      posts: [
-        {
-          id: 'li_1',
-          author: 'John Smith',
-          title: 'Senior Developer at TechCorp',
-          content: `Just got access to company ${query} database`,
-          timestamp: new Date(),
-          engagement: 245,
-          comments: 45,
-          shares: 12,
-          followers: 5000,
-          sentiment: 'neutral',
-          isPremium: false,
-        },
-        {
-          id: 'li_2',
-          author: 'Sarah Johnson',
-          title: 'CISO at DataSecure',
-          content: `Concerned about ${query} exposure in industry`,
-          timestamp: new Date(Date.now() - 172800000),
-          engagement: 567,
-          comments: 123,
-          shares: 89,
-          followers: 45000,
-          sentiment: 'negative',
-          isPremium: true,
-        },
-      ],
-      apiEndpoint: '/search/posts',
-      rateLimit: { remaining: 180, reset: Date.now() + 900000 },
-    };
-  }
 
-  /**
-   * Reddit search implementation
-   */
-  searchReddit(query) {
+    const results = await connector.search(query, {
+      limit,
+      timeframe,
+      apiKey: this.apiKeys[platform],
+    });
     return {
-      platform: this.platforms.REDDIT,
+      ...results,
+      platform,
       query,
-      count: 45,
-      posts: [
-        {
-          id: 'rd_1',
-          author: 'anonymous_hacker',
-          subreddit: 'r/netsec',
-          title: `${query} leak discussion`,
-          content: 'Discussion about recent data exposure...',
-          timestamp: new Date(),
-          upvotes: 3200,
-          downvotes: 145,
-          comments: 890,
-          awards: 34,
-          sentiment: 'negative',
-        },
-        {
-          id: 'rd_2',
-          author: 'security_expert',
-          subreddit: 'r/cybersecurity',
-          title: `${query} vulnerability analysis`,
-          content: 'Technical analysis of the discovered vulnerability...',
-          timestamp: new Date(Date.now() - 259200000),
-          upvotes: 2100,
-          downvotes: 89,
-          comments: 567,
-          awards: 12,
-          sentiment: 'negative',
-        },
-      ],
-      topSubreddits: ['r/netsec', 'r/cybersecurity', 'r/hacking'],
-      rateLimit: { remaining: 60, reset: Date.now() + 900000 },
+      count: results.count !== undefined ? results.count : results.posts.length,
+      posts: this.normalizePosts(connector, results.posts),
+      timestamp: new Date(),
     };
   }
 
   /**
-   * GitHub search implementation
+   * Posts published on a platform after `since` (a Date or ISO string)
    */
-  searchGitHub(query) {
-    return {
-      platform: this.platforms.GITHUB,
-      query,
-      count: 156,
-      posts: [
-        {
-          id: 'gh_1',
-          repository: 'leaked-credentials-repo',
-          author: 'anonymous',
-          content: `Contains ${query} with exposed API keys`,
-          timestamp: new Date(),
-          stars: 2340,
-          forks: 567,
-          watchers: 890,
-          commits: 234,
-          visibility: 'public',
-          hasSecrets: true,
-          severity: 'critical',
-        },
-        {
-          id: 'gh_2',
-          repository: 'company-data-dump',
-          author: 'unknown_user',
-          content: `Database dump containing ${query}`,
-          timestamp: new Date(Date.now() - 604800000),
-          stars: 1200,
-          forks: 340,
-          watchers: 450,
-          commits: 45,
-          visibility: 'public',
-          hasSecrets: true,
-          severity: 'critical',
-        },
-      ],
-      exposedSecrets: ['API_KEYS', 'DATABASE_URLS', 'PRIVATE_TOKENS'],
-      rateLimit: { remaining: 5000, reset: Date.now() + 3600000 },
-    };
+  async fetchSince(platform, since, options = {}) {
+    const connector = this.getConnector(platform, 'fetchSince');
+    const posts = await connector.fetchSince(since, {
+      ...options,
+      apiKey: this.apiKeys[platform],
+    });
+    return this.normalizePosts(connector, posts);
   }
 
   /**
-   * Facebook search implementation
+   * A single post by its platform id, or null if the platform does not know it
    */
-  searchFacebook(query) {
-    return {
-      platform: this.platforms.FACEBOOK,
-      query,
-      count: 18,
-      posts: [
-        {
-          id: 'fb_1',
-          author: 'John Doe',
-          group: 'Tech Workers Anonymous',
-          content: `Shared files containing company ${query}`,
-          timestamp: new Date(),
-          reactions: 234,
-          comments: 89,
-          shares: 45,
-          visibility: 'public',
-          sentiment: 'neutral',
-        },
-      ],
-      affectedGroups: ['Tech Workers Anonymous', 'Data Breach Discussion'],
-      rateLimit: { remaining: 200, reset: Date.now() + 900000 },
-    };
+  async getPost(platform, id) {
+    const connector = this.getConnector(platform, 'getPost');
+    const post = await connector.getPost(id, { apiKey: this.apiKeys[platform] });
+    return post ? this.normalizePosts(connector, [post])[0] : null;
   }
 
   /**
-   * Instagram search implementation
+   * Map a connector's posts to canonical posts, throwing a PostValidationError if it
+   * produces any that do not match POST_SCHEMA
    */
-  searchInstagram(query) {
-    return {
-      platform: this.platforms.INSTAGRAM,
-      query,
-      count: 12,
-      posts: [
-        {
-          id: 'ig_1',
-          author: '@corporate_insider',
-          content: `Office photo showing whiteboard with ${query}`,
-          timestamp: new Date(),
-          likes: 567,
-          comments: 123,
-          shares: 34,
-          hashtags: ['tech', 'office', 'work'],
-          isVideo: false,
-          sentiment: 'neutral',
-        },
-      ],
-      rateLimit: { remaining: 200, reset: Date.now() + 900000 },
-    };
+  normalizePosts(connector, posts) {
+    return validatePosts(
+      connector.id,
+      posts.map((post) => connector.normalize(post))
+    );
   }
 
   /**
-   * Dark Web search implementation
+   * The connector for a platform, checking it supports a capability
    */
-  searchDarkWeb(query) {
-    return {
-      platform: this.platforms.DARK_WEB,
-      query,
-      count: 89,
-      posts: [
-        {
-          id: 'dw_1',
-          forum: 'Exploit.in',
-          seller: 'data_dealer_001',
-          title: `${query} for sale - verified`,
-          price: '$5000-$15000',
-          timestamp: new Date(Date.now() - 86400000),
-          views: 3400,
-          interest: 'high',
-          dataSize: '500GB',
-          preview: 'Sample data available',
-          riskLevel: 'critical',
-        },
-        {
-          id: 'dw_2',
-          forum: 'RaidForums',
-          seller: 'breach_collective',
-          title: `${query} database dump - leaked`,
-          price: 'Free',
-          timestamp: new Date(Date.now() - 172800000),
-          views: 12300,
-          interest: 'critical',
-          dataSize: '250GB',
-          preview: 'Full data dump available',
-          riskLevel: 'critical',
-        },
-      ],
-      darkWebForums: ['Exploit.in', 'RaidForums', 'Nulled.io'],
-      threatIntelligence: true,
-    };
+  getConnector(platform, capability) {
+    const connector = this.connectors.get(platform);
+    if (!connector) {
+      throw new Error(`No connector registered for platform "${platform}"`);
+    }
+    if (capability && !connector.capabilities[capability]) {
+      throw new Error(`${connector.name} connector does not support ${capability}`);
+    }
+    return connector;
   }
 
   /**
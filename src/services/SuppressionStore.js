@@ -0,0 +1,193 @@
+/**
+ * Suppression Store
+ * Allowlists for findings that are known to be harmless: exact-value hashes,
+ * value regexes, and per-author or per-platform suppressions, each with an
+ * optional expiry date
+ *
+ * An entry is a plain object:
+ *   {
+ *     id: 'aws-docs-example-key-id',
+ *     kind: 'hash',                // hash | regex | author | platform
+ *     value: '1a5d44a2...',        // SHA-256 of the value, a regex source, a username or a platform id
+ *     salted: false,               // hash entries: value is the salted `matchHash` (see Redactor)
+ *     detector: 'aws-credentials', // optional, limits hash/regex entries to one detector
+ *     platform: 'twitter',         // optional, limits author entries to one platform
+ *     reason: 'AWS documentation example access key id',
+ *     createdBy: 'analyst@techcorp.com',
+ *     createdAt: '2024-01-01T00:00:00.000Z',
+ *     expiresAt: null,             // ISO date after which the entry no longer applies
+ *   }
+ */
+
+import { UtilityFunctions } from '../config/config';
+import { DEFAULT_SUPPRESSIONS } from '../config/suppressions';
+import { sha256 } from './hashing';
+
+export const SUPPRESSION_KINDS = ['hash', 'regex', 'author', 'platform'];
+
+const DEFAULT_STORAGE_KEY = 'dataLeakSuppressions';
+
+class SuppressionStore {
+  constructor(
+    entries = DEFAULT_SUPPRESSIONS,
+    { storage = null, storageKey = DEFAULT_STORAGE_KEY } = {}
+  ) {
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.entries = [];
+    this.builtInIds = new Set(entries.map((entry) => entry.id));
+    entries.forEach((entry) => this.add(entry, { persist: false }));
+
+    if (storage) {
+      const stored = JSON.parse(storage.getItem(storageKey) || '[]');
+      stored.forEach((entry) => this.add(entry, { persist: false }));
+    }
+  }
+
+  /**
+   * Add a suppression entry (replacing any entry with the same id) and persist it
+   */
+  add(entry, { persist = true } = {}) {
+    if (!SUPPRESSION_KINDS.includes(entry.kind)) {
+      throw new Error(
+        `Unknown suppression kind "${entry.kind}", expected one of: ${SUPPRESSION_KINDS.join(', ')}`
+      );
+    }
+    if (!entry.value) {
+      throw new Error(`Suppression "${entry.id || entry.kind}" needs a value`);
+    }
+    if (entry.expiresAt && Number.isNaN(Date.parse(entry.expiresAt))) {
+      throw new Error(
+        `Suppression "${entry.id || entry.kind}" has an invalid expiry date: ${entry.expiresAt}`
+      );
+    }
+
+    const normalized = {
+      detector: null,
+      salted: false,
+      platform: null,
+      reason: null,
+      createdBy: null,
+      expiresAt: null,
+      ...entry,
+      id: entry.id || UtilityFunctions.generateId('suppression'),
+      createdAt: entry.createdAt || new Date().toISOString(),
+      // Invalid regexes throw here rather than at match time
+      regex: entry.kind === 'regex' ? new RegExp(entry.value) : null,
+    };
+    this.entries = [...this.entries.filter((e) => e.id !== normalized.id), normalized];
+    if (persist) this.save();
+    return normalized;
+  }
+
+  /**
+   * Remove a suppression entry by id
+   */
+  remove(id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter((entry) => entry.id !== id);
+    this.save();
+    return this.entries.length < before;
+  }
+
+  /**
+   * List entries, by default only the ones that have not expired
+   */
+  list({ includeExpired = false, now = new Date() } = {}) {
+    return this.entries
+      .filter((entry) => includeExpired || this.isActive(entry, now))
+      .map(({ regex, ...entry }) => entry);
+  }
+
+  /**
+   * Check whether an entry still applies
+   */
+  isActive(entry, now = new Date()) {
+    return !entry.expiresAt || new Date(entry.expiresAt) > now;
+  }
+
+  /**
+   * Find an author or platform suppression covering a whole post
+   */
+  matchPost({ platform, username } = {}, now = new Date()) {
+    const onPlatform = (value) =>
+      Boolean(platform) && value.toLowerCase() === String(platform).toLowerCase();
+    const entry = this.entries.find((e) => {
+      if (!this.isActive(e, now)) return false;
+      if (e.kind === 'platform') return onPlatform(e.value);
+      if (e.kind !== 'author' || !username) return false;
+      return (
+        (!e.platform || onPlatform(e.platform)) && e.value.toLowerCase() === username.toLowerCase()
+      );
+    });
+    return entry ? this.describe(entry) : null;
+  }
+
+  /**
+   * Find the suppression (if any) that applies to a finding in a post. Salted hash entries
+   * only match findings carrying their salted `matchHash`.
+   */
+  matchFinding(finding, context = {}, now = new Date()) {
+    const postSuppression = this.matchPost(context, now);
+    if (postSuppression) return postSuppression;
+
+    let hash = null;
+    const entry = this.entries.find((e) => {
+      if (!this.isActive(e, now)) return false;
+      if (e.detector && e.detector !== finding.detector) return false;
+      if (e.kind === 'regex') return e.regex.test(finding.match);
+      if (e.kind === 'hash' && e.salted) return e.value === finding.matchHash;
+      if (e.kind === 'hash') {
+        hash = hash || sha256(finding.match);
+        return e.value === hash;
+      }
+      return false;
+    });
+    return entry ? this.describe(entry) : null;
+  }
+
+  /**
+   * Record a finding as a false positive by suppressing its exact value, by its salted
+   * `matchHash` when it has one (redacted findings do)
+   */
+  markAsFalsePositive(
+    finding,
+    { reason, createdBy = null, expiresAt = null, anyDetector = false } = {}
+  ) {
+    return this.add({
+      kind: 'hash',
+      ...(finding.matchHash
+        ? { value: finding.matchHash, salted: true }
+        : { value: sha256(finding.match) }),
+      detector: anyDetector ? null : finding.detector,
+      reason: reason || `False positive: ${finding.keyType || finding.type}`,
+      createdBy,
+      expiresAt,
+    });
+  }
+
+  /**
+   * The part of an entry reported alongside a suppressed finding
+   */
+  describe(entry) {
+    return {
+      id: entry.id,
+      kind: entry.kind,
+      reason: entry.reason,
+      expiresAt: entry.expiresAt,
+    };
+  }
+
+  /**
+   * Persist entries added at runtime (built-in entries always come from config)
+   */
+  save() {
+    if (!this.storage) return;
+    const added = this.list({ includeExpired: true }).filter(
+      (entry) => !this.builtInIds.has(entry.id)
+    );
+    this.storage.setItem(this.storageKey, JSON.stringify(added));
+  }
+}
+
+export default SuppressionStore;
@@ -0,0 +1,168 @@
+/**
+ * Attachment Extractor
+ * Unpacks archives (zip, tar, gzip) and pulls text out of the documents inside.
+ * Every extracted part keeps its path inside the archive, e.g.
+ * `dump.zip/finance/payroll.xlsx`. Size, entry count, nesting depth and
+ * compression-ratio limits stop archive bombs before they are inflated.
+ */
+
+import { gunzipSync, unzipSync } from 'fflate';
+import { ATTACHMENT_LIMITS } from '../../config/config';
+import {
+  decodeText,
+  detectFileType,
+  detectOfficeType,
+  extractOfficeText,
+  extractPdfText,
+  parseTar,
+} from './formats';
+
+class AttachmentExtractor {
+  constructor(limits = {}) {
+    this.limits = { ...ATTACHMENT_LIMITS, ...limits };
+  }
+
+  /**
+   * Extract every readable part of an attachment.
+   * Returns `{ parts: [{ path, type, text | bytes }], skipped: [{ path, reason }] }`;
+   * images are returned as bytes for OCR.
+   */
+  extract(data, name = 'attachment') {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const state = { parts: [], skipped: [], totalSize: 0, entries: 0 };
+
+    if (bytes.length > this.limits.maxAttachmentSize) {
+      state.skipped.push({
+        path: name,
+        reason: `attachment is larger than ${this.limits.maxAttachmentSize} bytes`,
+      });
+      return state;
+    }
+
+    this.extractFile(bytes, name, 0, state);
+    return { parts: state.parts, skipped: state.skipped };
+  }
+
+  /**
+   * Extract a single file, recursing into archives
+   */
+  extractFile(bytes, path, depth, state) {
+    const type = detectFileType(path, bytes);
+    const skip = (reason) => state.skipped.push({ path, reason });
+
+    try {
+      switch (type) {
+        case 'zip':
+        case 'tar':
+        case 'gzip':
+          if (depth >= this.limits.maxDepth) {
+            skip(`archive nested deeper than ${this.limits.maxDepth} levels`);
+            return;
+          }
+          this.extractArchive(type, bytes, path, depth, state);
+          return;
+        case 'pdf': {
+          // Inflated content streams count against the limits like unpacked files
+          const { text, skipped } = extractPdfText(bytes, {
+            maxStreamSize: this.limits.maxFileSize,
+            reserve: (size, packedSize) => this.reserve(state, size, packedSize),
+          });
+          state.parts.push({ path, type, text });
+          skipped.forEach(skip);
+          return;
+        }
+        case 'csv':
+        case 'text':
+          state.parts.push({ path, type, text: decodeText(bytes) });
+          return;
+        case 'image':
+          state.parts.push({ path, type, bytes });
+          return;
+        default:
+          skip('unsupported binary file');
+      }
+    } catch (error) {
+      skip(`could not be read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Charge an unpacked file of `size` bytes against the limits. Returns why it is
+   * rejected, or null once it is counted.
+   */
+  reserve(state, size, packedSize) {
+    if (state.entries >= this.limits.maxEntries) {
+      return `more than ${this.limits.maxEntries} files in attachment`;
+    }
+    if (size > this.limits.maxFileSize) {
+      return `file is larger than ${this.limits.maxFileSize} bytes`;
+    }
+    if (state.totalSize + size > this.limits.maxTotalSize) {
+      return `attachment unpacks to more than ${this.limits.maxTotalSize} bytes`;
+    }
+    if (
+      packedSize !== undefined &&
+      size / Math.max(packedSize, 1) > this.limits.maxCompressionRatio
+    ) {
+      return `compression ratio above ${this.limits.maxCompressionRatio}:1`;
+    }
+    state.entries += 1;
+    state.totalSize += size;
+    return null;
+  }
+
+  /**
+   * Unpack an archive and extract its entries, charging them against the limits
+   */
+  extractArchive(type, bytes, path, depth, state) {
+    const reserve = (size, packedSize) => this.reserve(state, size, packedSize);
+
+    if (type === 'gzip') {
+      const output = gunzipSync(bytes, { out: new Uint8Array(this.limits.maxFileSize + 1) });
+      const innerName = path.replace(/\.tgz$/i, '.tar').replace(/\.gz$/i, '');
+      const rejection =
+        output.length > this.limits.maxFileSize
+          ? `file is larger than ${this.limits.maxFileSize} bytes`
+          : reserve(output.length, bytes.length);
+      if (rejection) {
+        state.skipped.push({ path: innerName, reason: rejection });
+        return;
+      }
+      this.extractFile(output, innerName, depth + 1, state);
+      return;
+    }
+
+    if (type === 'tar') {
+      parseTar(bytes).forEach((file) => {
+        const entryPath = `${path}/${file.name}`;
+        const rejection = reserve(file.size);
+        if (rejection) state.skipped.push({ path: entryPath, reason: rejection });
+        else this.extractFile(file.data, entryPath, depth + 1, state);
+      });
+      return;
+    }
+
+    // Zip: check declared sizes before anything is inflated
+    const rejected = [];
+    const entries = unzipSync(bytes, {
+      filter: (file) => {
+        if (file.name.endsWith('/')) return false;
+        const rejection = reserve(file.originalSize, file.size);
+        if (rejection) rejected.push({ path: `${path}/${file.name}`, reason: rejection });
+        return !rejection;
+      },
+    });
+    state.skipped.push(...rejected);
+
+    const officeType = detectOfficeType(Object.keys(entries));
+    if (officeType) {
+      state.parts.push({ path, type: officeType, text: extractOfficeText(officeType, entries) });
+      return;
+    }
+    Object.entries(entries).forEach(([name, data]) => {
+      this.extractFile(data, `${path}/${name}`, depth + 1, state);
+    });
+  }
+}
+
+export default AttachmentExtractor;
@@ -0,0 +1,374 @@
+/**
+ * Attachment Formats
+ * File type sniffing and text extraction for documents found in attachments:
+ * PDF, Office Open XML (docx/xlsx/pptx), CSV and plain text
+ */
+
+import { strFromU8, Unzlib } from 'fflate';
+
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+const EMPTY_ZIP_MAGIC = [0x50, 0x4b, 0x05, 0x06];
+const GZIP_MAGIC = [0x1f, 0x8b];
+const PDF_MAGIC = [0x25, 0x50, 0x44, 0x46]; // %PDF
+const IMAGE_MAGIC = [
+  [0x89, 0x50, 0x4e, 0x47], // PNG
+  [0xff, 0xd8, 0xff], // JPEG
+  [0x47, 0x49, 0x46, 0x38], // GIF
+];
+
+const TEXT_EXTENSIONS = [
+  'txt',
+  'csv',
+  'tsv',
+  'log',
+  'json',
+  'xml',
+  'yml',
+  'yaml',
+  'env',
+  'ini',
+  'cfg',
+  'conf',
+  'properties',
+  'sql',
+  'md',
+  'html',
+  'htm',
+  'js',
+  'ts',
+  'py',
+  'rb',
+  'go',
+  'java',
+  'php',
+  'sh',
+  'ps1',
+  'tf',
+  'pem',
+  'key',
+];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export const decodeText = (bytes) => strFromU8(bytes);
+
+const startsWith = (bytes, magic) => magic.every((byte, i) => bytes[i] === byte);
+
+export const extensionOf = (name = '') => {
+  const base = name.split('/').pop();
+  return base.includes('.') ? base.split('.').pop().toLowerCase() : '';
+};
+
+/**
+ * Heuristic: no NUL bytes and few control characters in the first 4 KB
+ */
+const looksLikeText = (bytes) => {
+  const sample = bytes.subarray(0, 4096);
+  let control = 0;
+  for (let i = 0; i < sample.length; i += 1) {
+    if (sample[i] === 0) return false;
+    if (sample[i] < 9 || (sample[i] > 13 && sample[i] < 32)) control += 1;
+  }
+  return control <= sample.length * 0.05;
+};
+
+/**
+ * Work out what kind of file some bytes are, from magic numbers first and the name second
+ */
+export const detectFileType = (name, bytes) => {
+  if (startsWith(bytes, ZIP_MAGIC) || startsWith(bytes, EMPTY_ZIP_MAGIC)) return 'zip';
+  if (startsWith(bytes, GZIP_MAGIC)) return 'gzip';
+  if (startsWith(bytes, PDF_MAGIC)) return 'pdf';
+  if (IMAGE_MAGIC.some((magic) => startsWith(bytes, magic))) return 'image';
+  if (decodeText(bytes.subarray(257, 262)) === 'ustar') return 'tar';
+  const extension = extensionOf(name);
+  if (extension === 'csv' || extension === 'tsv') return 'csv';
+  if (TEXT_EXTENSIONS.includes(extension) || looksLikeText(bytes)) return 'text';
+  return 'binary';
+};
+
+/**
+ * Which Office Open XML document a set of zip entry names is, if any
+ */
+export const detectOfficeType = (entryNames) => {
+  if (entryNames.includes('word/document.xml')) return 'docx';
+  if (entryNames.includes('xl/workbook.xml')) return 'xlsx';
+  if (entryNames.some((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))) return 'pptx';
+  return null;
+};
+
+const decodeXmlEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value =
+        code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return String.fromCodePoint(value);
+    }
+    return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+  });
+
+/**
+ * Text content of WordprocessingML/DrawingML: paragraphs become lines
+ */
+const xmlParagraphText = (xml) =>
+  decodeXmlEntities(
+    xml
+      .replace(/<(?:w|a):tab\/>/g, '\t')
+      .replace(/<(?:w:br|a:br)\b[^>]*\/>/g, '\n')
+      .replace(/<\/(?:w|a):p>/g, '\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const naturalOrder = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+/**
+ * Extract text from the XML entries of a docx/xlsx/pptx (`entries` maps entry name to bytes)
+ */
+export const extractOfficeText = (type, entries) => {
+  const names = Object.keys(entries);
+  const read = (name) => (entries[name] ? decodeText(entries[name]) : '');
+
+  if (type === 'docx') {
+    return names
+      .filter((name) =>
+        /^word\/(?:document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/.test(name)
+      )
+      .sort(naturalOrder)
+      .map((name) => xmlParagraphText(read(name)))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  if (type === 'pptx') {
+    return names
+      .filter((name) => /^ppt\/(?:slides\/slide|notesSlides\/notesSlide)\d+\.xml$/.test(name))
+      .sort(naturalOrder)
+      .map((name) => xmlParagraphText(read(name)))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  // xlsx: one CSV-like block per sheet, shared strings resolved
+  const sharedStrings = (read('xl/sharedStrings.xml').match(/<si>[\s\S]*?<\/si>/g) || []).map(
+    (si) =>
+      decodeXmlEntities(
+        (si.match(/<t[^>]*>[\s\S]*?<\/t>/g) || []).map((t) => t.replace(/<[^>]+>/g, '')).join('')
+      )
+  );
+  return names
+    .filter((name) => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+    .sort(naturalOrder)
+    .map((name) => {
+      const rows = (read(name).match(/<row\b[\s\S]*?<\/row>/g) || []).map((row) =>
+        (row.match(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || [])
+          .map((cell) => {
+            const type = (cell.match(/\bt="(\w+)"/) || [])[1];
+            if (type === 'inlineStr') {
+              return decodeXmlEntities((cell.match(/<t[^>]*>([\s\S]*?)<\/t>/) || [])[1] || '');
+            }
+            const value = (cell.match(/<v>([\s\S]*?)<\/v>/) || [])[1] || '';
+            return type === 's' ? sharedStrings[Number(value)] || '' : decodeXmlEntities(value);
+          })
+          .join(',')
+      );
+      return rows.join('\n');
+    })
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+/**
+ * List the regular files in a tar archive
+ */
+export const parseTar = (bytes) => {
+  const files = [];
+  let offset = 0;
+  while (offset + 512 <= bytes.length) {
+    const header = bytes.subarray(offset, offset + 512);
+    if (header.every((byte) => byte === 0)) break;
+    const field = (start, length) =>
+      decodeText(header.subarray(start, start + length)).replace(/\0[\s\S]*$/, '');
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const typeFlag = field(156, 1);
+    const prefix = field(345, 155);
+    const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+    if (typeFlag === '0' || typeFlag === '') {
+      files.push({ name, size, data: bytes.subarray(offset + 512, offset + 512 + size) });
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+};
+
+/**
+ * Read a PDF literal string `( ... )` starting at `start`; returns the text and the end offset
+ */
+const readPdfLiteral = (content, start) => {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let depth = 1;
+  let text = '';
+  let i = start + 1;
+  while (i < content.length && depth > 0) {
+    const c = content[i];
+    if (c === '\\') {
+      const next = content[i + 1];
+      if (/[0-7]/.test(next)) {
+        const octal = content.substring(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        text += String.fromCharCode(parseInt(octal, 8));
+        i += octal.length + 1;
+        continue;
+      }
+      text += escapes[next] !== undefined ? escapes[next] : next === '\n' ? '' : next;
+      i += 2;
+      continue;
+    }
+    if (c === '(') depth += 1;
+    if (c === ')') depth -= 1;
+    if (depth > 0) text += c;
+    i += 1;
+  }
+  return { text, end: i };
+};
+
+const NUMBER_REGEX = /-?[\d.]+/y;
+
+/**
+ * Pull the shown strings out of a PDF content stream (Tj, TJ, ', ")
+ */
+const pdfContentText = (content) => {
+  let text = '';
+  let inArray = false;
+  let i = 0;
+  const newLine = () => {
+    if (!text.endsWith('\n')) text += '\n';
+  };
+
+  while (i < content.length) {
+    const c = content[i];
+    if (c === '(') {
+      const literal = readPdfLiteral(content, i);
+      text += literal.text;
+      i = literal.end;
+    } else if (c === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      if (end === -1) break;
+      const hex = content.substring(i + 1, end).replace(/\s+/g, '');
+      for (let j = 0; j < hex.length; j += 2) {
+        text += String.fromCharCode(parseInt(hex.substring(j, j + 2).padEnd(2, '0'), 16));
+      }
+      i = end + 1;
+    } else if (c === '[' || c === ']') {
+      inArray = c === '[';
+      i += 1;
+    } else if (inArray && /[-\d.]/.test(c)) {
+      // A large negative adjustment inside a TJ array is a word gap
+      NUMBER_REGEX.lastIndex = i;
+      const number = NUMBER_REGEX.exec(content)[0];
+      if (Number(number) < -200) text += ' ';
+      i += number.length;
+    } else {
+      const operator = content.substring(i, i + 2);
+      if (/^(?:T\*|Td|TD|ET|Tm)$/.test(operator)) newLine();
+      else if ((c === "'" || c === '"') && /\s/.test(content[i - 1] || ' ')) newLine();
+      i += 1;
+    }
+  }
+  return text;
+};
+
+/**
+ * Bytes as a Latin-1 string, in chunks to stay under the argument limit
+ */
+const latin1 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return text;
+};
+
+// Compressed bytes fed to the inflater at a time, bounding how far a stream can overshoot
+// its size limit before it is stopped
+const INFLATE_CHUNK_SIZE = 4096;
+
+/**
+ * Inflate a zlib stream chunk by chunk, so only what the stream really holds is
+ * allocated. Returns null once the output passes `maxSize` bytes.
+ */
+const inflateLimited = (data, maxSize) => {
+  const tooLarge = new Error('inflated size limit reached');
+  const chunks = [];
+  let size = 0;
+  const inflater = new Unzlib((chunk) => {
+    size += chunk.length;
+    if (size > maxSize) throw tooLarge;
+    chunks.push(chunk);
+  });
+  try {
+    for (let offset = 0; offset < data.length; offset += INFLATE_CHUNK_SIZE) {
+      inflater.push(
+        data.subarray(offset, offset + INFLATE_CHUNK_SIZE),
+        offset + INFLATE_CHUNK_SIZE >= data.length
+      );
+    }
+  } catch (error) {
+    if (error === tooLarge) return null;
+    throw error;
+  }
+
+  const output = new Uint8Array(size);
+  chunks.reduce((offset, chunk) => {
+    output.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  return output;
+};
+
+/**
+ * Extract text from a PDF by decoding its content streams. Handles uncompressed and
+ * FlateDecode streams with simple fonts; `maxStreamSize` caps each inflated stream.
+ * Every inflated stream is charged to `reserve(size, packedSize)`, which returns why it
+ * is rejected (or null); extraction stops at the first rejection. Returns
+ * `{ text, skipped }`, `skipped` listing why streams were left out.
+ */
+export const extractPdfText = (bytes, { maxStreamSize, reserve = () => null }) => {
+  const raw = latin1(bytes);
+  const streamRegex = /<<((?:[^<>]|<<(?:[^<>]|<<[^<>]*>>)*>>)*)>>\s*stream\r?\n/g;
+  const texts = [];
+  const skipped = [];
+  let match;
+  while ((match = streamRegex.exec(raw)) !== null) {
+    const dictionary = match[1];
+    const dataStart = match.index + match[0].length;
+    const dataEnd = raw.indexOf('endstream', dataStart);
+    if (dataEnd === -1) break;
+    streamRegex.lastIndex = dataEnd;
+    if (/\/Subtype\s*\/Image|\/(?:DCT|JPX|CCITTFax|JBIG2)Decode/.test(dictionary)) continue;
+
+    let data = bytes.subarray(dataStart, dataEnd);
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        data = inflateLimited(data, maxStreamSize);
+      } catch {
+        continue;
+      }
+      if (!data) {
+        skipped.push(`content stream is larger than ${maxStreamSize} bytes`);
+        continue;
+      }
+      const rejection = reserve(data.length, dataEnd - dataStart);
+      if (rejection) {
+        skipped.push(rejection);
+        break;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue;
+    }
+
+    const content = latin1(data);
+    if (/\bBT\b/.test(content)) texts.push(pdfContentText(content).trim());
+  }
+  return { text: texts.filter(Boolean).join('\n'), skipped };
+};
@@ -0,0 +1,129 @@
+import { strToU8, zlibSync } from 'fflate';
+import { decodeText, detectFileType, extractOfficeText, extractPdfText, parseTar } from './formats';
+
+// A ustar header and data blocks for one entry
+const tarEntry = (name, content, typeFlag = '0') => {
+  const data = strToU8(content);
+  const header = new Uint8Array(512);
+  header.set(strToU8(name), 0);
+  header.set(strToU8(`${data.length.toString(8).padStart(11, '0')}\0`), 124);
+  header.set(strToU8(typeFlag), 156);
+  header.set(strToU8('ustar\0'), 257);
+  const block = new Uint8Array(512 + Math.ceil(data.length / 512) * 512);
+  block.set(header);
+  block.set(data, 512);
+  return block;
+};
+
+const concat = (...parts) => {
+  const bytes = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  parts.reduce((offset, part) => {
+    bytes.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return bytes;
+};
+
+// A PDF with one content stream per entry of `streams` (`{ content, compressed }`)
+const pdf = (streams) =>
+  concat(
+    strToU8('%PDF-1.4\n'),
+    ...streams.map(({ content, compressed }, i) => {
+      const data = compressed ? zlibSync(strToU8(content)) : strToU8(content);
+      const filter = compressed ? ' /Filter /FlateDecode' : '';
+      return concat(
+        strToU8(`${i + 1} 0 obj\n<< /Length ${data.length}${filter} >>\nstream\n`),
+        data,
+        strToU8('\nendstream\nendobj\n')
+      );
+    }),
+    strToU8('%%EOF\n')
+  );
+
+describe('parseTar', () => {
+  it('lists regular files with their contents', () => {
+    const long = 'x'.repeat(600);
+    const files = parseTar(
+      concat(
+        tarEntry('config/', '', '5'),
+        tarEntry('config/.env', 'API_KEY=secret\n'),
+        tarEntry('notes.txt', long),
+        new Uint8Array(1024)
+      )
+    );
+    expect(files.map((file) => [file.name, file.size])).toEqual([
+      ['config/.env', 15],
+      ['notes.txt', 600],
+    ]);
+    expect(decodeText(files[0].data)).toBe('API_KEY=secret\n');
+    expect(files[1].data.length).toBe(600);
+  });
+
+  it('is sniffed as tar', () => {
+    expect(detectFileType('archive', tarEntry('a.txt', 'a'))).toBe('tar');
+  });
+});
+
+describe('extractPdfText', () => {
+  it('reads shown strings from plain and FlateDecode streams', () => {
+    const bytes = pdf([
+      { content: 'BT /F1 12 Tf 72 712 Td (Hello \\(world\\)) Tj ET' },
+      { content: 'BT [(pass)-300(word)] TJ T* <41424344> Tj ET', compressed: true },
+    ]);
+    const { text, skipped } = extractPdfText(bytes, { maxStreamSize: 1024 });
+    expect(text).toBe('Hello (world)\npass word\nABCD');
+    expect(skipped).toEqual([]);
+  });
+
+  it('skips streams that inflate past the size limit', () => {
+    const content = `BT (${'A'.repeat(5000)}) Tj ET`;
+    const { text, skipped } = extractPdfText(pdf([{ content, compressed: true }]), {
+      maxStreamSize: 1000,
+    });
+    expect(text).toBe('');
+    expect(skipped).toEqual(['content stream is larger than 1000 bytes']);
+  });
+
+  it('stops at the first stream the reservation rejects', () => {
+    const reserve = jest.fn((size) => (size > 20 ? 'too much' : null));
+    const { text, skipped } = extractPdfText(
+      pdf([
+        { content: 'BT (one) Tj ET', compressed: true },
+        { content: 'BT (two, which is longer) Tj ET', compressed: true },
+        { content: 'BT (three) Tj ET', compressed: true },
+      ]),
+      { maxStreamSize: 1024, reserve }
+    );
+    expect(text).toBe('one');
+    expect(skipped).toEqual(['too much']);
+    expect(reserve).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('extractOfficeText', () => {
+  it('reads xlsx sheets with shared and inline strings', () => {
+    const entries = {
+      'xl/workbook.xml': strToU8('<workbook/>'),
+      'xl/sharedStrings.xml': strToU8(
+        '<sst><si><t>email</t></si><si><t>a&amp;b@example.com</t></si></sst>'
+      ),
+      'xl/worksheets/sheet2.xml': strToU8(
+        '<sheetData><row><c t="inlineStr"><is><t>second</t></is></c></row></sheetData>'
+      ),
+      'xl/worksheets/sheet1.xml': strToU8(
+        '<sheetData><row><c t="s"><v>0</v></c><c><v>42</v></c></row>' +
+          '<row><c t="s"><v>1</v></c><c/></row></sheetData>'
+      ),
+    };
+    expect(extractOfficeText('xlsx', entries)).toBe('email,42\na&b@example.com,\n\nsecond');
+  });
+
+  it('reads docx paragraphs', () => {
+    const entries = {
+      'word/document.xml': strToU8(
+        '<w:body><w:p><w:r><w:t>First</w:t></w:r></w:p><w:p><w:r><w:t>Second</w:t></w:r></w:p></w:body>'
+      ),
+    };
+    expect(extractOfficeText('docx', entries)).toBe('First\nSecond');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Worker Pool
+ * A fixed set of workers answering `{ id, ...message }` with `{ id, result }` or
+ * `{ id, error }`. Each task goes to the worker with the fewest pending tasks.
+ */
+
+/**
+ * A worker that handles messages on the calling thread, one per macrotask, for
+ * environments without Web Workers (tests, server-side rendering). `handleMessage`
+ * may return a promise.
+ */
+export const createInlineWorker = (handleMessage) => {
+  let terminated = false;
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    postMessage(data) {
+      setTimeout(async () => {
+        const reply = await handleMessage(data);
+        if (!terminated) worker.onmessage({ data: reply });
+      }, 0);
+    },
+    terminate() {
+      terminated = true;
+    },
+  };
+  return worker;
+};
+
+class WorkerPool {
+  constructor(createWorker, size = 1) {
+    this.nextId = 1;
+    this.terminated = false;
+    // Task id -> { resolve, reject, slot }
+    this.pending = new Map();
+    this.slots = Array.from({ length: size }, () => this.createSlot(createWorker()));
+  }
+
+  get size() {
+    return this.slots.length;
+  }
+
+  /**
+   * Wire a worker's replies to its pending tasks
+   */
+  createSlot(worker) {
+    const slot = { worker, pending: 0 };
+    worker.onmessage = ({ data }) => {
+      const task = this.pending.get(data.id);
+      if (!task) return;
+      this.settle(data.id, task);
+      if (data.error) task.reject(new Error(data.error));
+      else task.resolve(data.result);
+    };
+    // The worker itself failed (e.g. its script did not load): fail everything it holds
+    worker.onerror = (event) => {
+      const error = new Error(`Worker failed: ${(event && event.message) || 'unknown error'}`);
+      this.pending.forEach((task, id) => {
+        if (task.slot !== slot) return;
+        this.settle(id, task);
+        task.reject(error);
+      });
+    };
+    return slot;
+  }
+
+  settle(id, task) {
+    this.pending.delete(id);
+    task.slot.pending -= 1;
+  }
+
+  /**
+   * Send a message to the least busy worker; resolves with its result
+   */
+  run(message) {
+    const slot = this.slots.reduce((best, candidate) =>
+      candidate.pending < best.pending ? candidate : best
+    );
+    return this.send(slot, message);
+  }
+
+  /**
+   * Send a message to every worker
+   */
+  broadcast(message) {
+    return Promise.all(this.slots.map((slot) => this.send(slot, message)));
+  }
+
+  send(slot, message) {
+    if (this.terminated) return Promise.reject(new Error('Worker pool has been terminated'));
+    const id = this.nextId;
+    this.nextId += 1;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject, slot });
+      slot.pending += 1;
+      slot.worker.postMessage({ ...message, id });
+    });
+  }
+
+  /**
+   * Stop every worker and reject the tasks still pending
+   */
+  terminate(reason = new Error('Worker pool has been terminated')) {
+    this.terminated = true;
+    this.slots.forEach((slot) => slot.worker.terminate());
+    this.pending.forEach((task) => task.reject(reason));
+    this.pending.clear();
+  }
+}
+
+export default WorkerPool;
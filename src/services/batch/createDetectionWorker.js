@@ -0,0 +1,8 @@
+/**
+ * Start a detection Web Worker. Kept in its own module because `import.meta` is only
+ * understood by the webpack build, not by Jest.
+ */
+const createDetectionWorker = () =>
+  new Worker(new URL('./detection.worker.js', import.meta.url), { name: 'leak-detection' });
+
+export default createDetectionWorker;
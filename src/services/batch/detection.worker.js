@@ -0,0 +1,11 @@
+/**
+ * Detection Worker
+ * Web Worker entry point; see detectionWorkerHandler for the messages it answers
+ */
+
+import { createDetectionHandler } from './detectionWorkerHandler';
+
+const handleMessage = createDetectionHandler();
+
+// eslint-disable-next-line no-restricted-globals
+self.onmessage = async ({ data }) => self.postMessage(await handleMessage(data));
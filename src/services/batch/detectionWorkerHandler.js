@@ -0,0 +1,42 @@
+/**
+ * Detection Worker Handler
+ * Message handling for a detection worker, kept apart from the worker entry point so
+ * it can also run on the main thread (see createInlineWorker).
+ *
+ * Messages:
+ *   { id, type: 'configure', snapshot, evidenceKey } - rebuild the service from
+ *       getSnapshot(), encrypting evidence with the main thread's vault key
+ *   { id, type: 'analyze', post } - analyze one post, replying with
+ *       `{ analysis, evidence }` (the encrypted records of its redacted values)
+ */
+
+import DataLeakDetectionService from '../DataLeakDetectionService';
+import EvidenceVault from '../EvidenceVault';
+
+export const createDetectionHandler = () => {
+  let service = null;
+
+  return async ({ id, type, snapshot, evidenceKey, post }) => {
+    try {
+      if (type === 'configure') {
+        service = DataLeakDetectionService.fromSnapshot(snapshot, {
+          evidenceVault: new EvidenceVault({ key: evidenceKey }),
+        });
+        return { id, result: true };
+      }
+      if (type === 'analyze') {
+        if (!service) throw new Error('Detection worker has not been configured');
+        const analysis = service.analyzePost(post);
+        const evidence = service.evidenceVault.isSupported()
+          ? await service.evidenceVault.export(analysis.redactions.map(({ hash }) => hash))
+          : [];
+        return { id, result: { analysis, evidence } };
+      }
+      throw new Error(`Unknown detection worker message "${type}"`);
+    } catch (error) {
+      return { id, error: error.message };
+    }
+  };
+};
+
+export default createDetectionHandler;
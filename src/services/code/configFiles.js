@@ -0,0 +1,71 @@
+/**
+ * Config Files
+ * Line-based readers for .env, YAML, JSON, .properties and Terraform files that
+ * find values assigned to secret-looking keys (`DB_PASSWORD=...`, `api_key: ...`)
+ */
+
+// Keys whose values are credentials
+const SECRET_KEY_REGEX =
+  /(?:passw(?:or)?d|passwd|pwd|secret|token|api[_-]?key|apikey|access[_-]?key|private[_-]?key|client[_-]?secret|credential|conn(?:ection)?[_-]?str(?:ing)?|dsn)/i;
+
+// Values that are clearly not real secrets
+const PLACEHOLDER_REGEX =
+  /^(?:|null|none|nil|true|false|changeme|change_me|password|secret|example|xxx+|\*+|<[^>]*>|\$\{[^}]*\}|\$[A-Z_]+|%\([^)]*\)s|\{\{[^}]*\}\}|var\.[\w.]+|process\.env\.\w+|your[_-].*|todo)$/i;
+
+const MIN_SECRET_LENGTH = 6;
+
+const LINE_PATTERNS = {
+  env: /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.]*)\s*=\s*(.*?)\s*$/,
+  properties: /^\s*([^#!\s:=][^:=\s]*)\s*[:=]\s*(.*?)\s*$/,
+  yaml: /^\s*(?:-\s+)?["']?([\w.-]+)["']?\s*:\s+(.+?)\s*$/,
+  json: /^\s*"([^"]+)"\s*:\s*"((?:[^"\\]|\\.)*)"/,
+  terraform: /^\s*([\w-]+)\s*=\s*(.+?)\s*$/,
+};
+
+/**
+ * Which config format a file path is, or null
+ */
+export const detectConfigFormat = (path = '') => {
+  const name = path.split('/').pop().toLowerCase();
+  if (name === '.env' || name.startsWith('.env.') || name.endsWith('.env')) return 'env';
+  if (/\.(?:ya?ml)$/.test(name)) return 'yaml';
+  if (/\.json$/.test(name)) return 'json';
+  if (/\.(?:properties|ini|cfg|conf)$/.test(name)) return 'properties';
+  if (/\.(?:tf|tfvars|hcl)$/.test(name)) return 'terraform';
+  return null;
+};
+
+/**
+ * Strip quotes and trailing comments from a raw value
+ */
+const cleanValue = (raw, format) => {
+  let value = raw.trim();
+  const quoted = value.match(/^(["'])(.*?)\1/);
+  if (quoted) return quoted[2];
+  if (format !== 'properties' && format !== 'json') value = value.replace(/\s+#.*$/, '');
+  return value.replace(/[,;]$/, '').trim();
+};
+
+/**
+ * Find `{ key, value, line, column }` assignments of secret-looking keys.
+ * `line` is 1-based; `column` is the 0-based offset of the value in its line.
+ */
+export const findConfigSecrets = (path, text) => {
+  const format = detectConfigFormat(path);
+  if (!format) return [];
+
+  const results = [];
+  (text || '').split(/\r?\n/).forEach((line, lineIndex) => {
+    if (/^\s*(?:#|\/\/|;|!)/.test(line)) return;
+    const match = line.match(LINE_PATTERNS[format]);
+    if (!match) return;
+    const [, key, raw] = match;
+    if (!SECRET_KEY_REGEX.test(key)) return;
+    const value = cleanValue(raw, format);
+    if (value.length < MIN_SECRET_LENGTH || PLACEHOLDER_REGEX.test(value)) return;
+    results.push({ key, value, format, line: lineIndex + 1, column: line.indexOf(value) });
+  });
+  return results;
+};
+
+export default findConfigSecrets;
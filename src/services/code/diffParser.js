@@ -0,0 +1,103 @@
+/**
+ * Diff Parser
+ * Parses unified diffs (`git diff`, `git show`, GitHub patch output) into files,
+ * hunks and lines with their old and new line numbers
+ */
+
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+const stripPrefix = (path) => (path === '/dev/null' ? null : path.replace(/^[ab]\//, ''));
+
+/**
+ * Parse a unified diff.
+ * Returns `[{ oldPath, newPath, path, status, hunks: [{ oldStart, newStart, lines }] }]`
+ * where each line is `{ type: 'added' | 'removed' | 'context', content, oldLine, newLine }`.
+ */
+export const parseUnifiedDiff = (diff) => {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  const startFile = (oldPath = null, newPath = null) => {
+    file = { oldPath, newPath, path: newPath || oldPath, status: 'modified', hunks: [] };
+    files.push(file);
+    hunk = null;
+  };
+
+  (diff || '').split(/\r?\n/).forEach((line) => {
+    if (line.startsWith('diff --git ')) {
+      const [, oldPath, newPath] = line.match(/^diff --git (\S+) (\S+)/) || [];
+      startFile(stripPrefix(oldPath || ''), stripPrefix(newPath || ''));
+      return;
+    }
+
+    // Inside a hunk, every line belongs to it until the counts run out
+    if (hunk && (hunk.oldRemaining > 0 || hunk.newRemaining > 0)) {
+      const marker = line[0];
+      const content = line.substring(1);
+      if (marker === '+') {
+        hunk.lines.push({ type: 'added', content, oldLine: null, newLine });
+        newLine += 1;
+        hunk.newRemaining -= 1;
+        return;
+      }
+      if (marker === '-') {
+        hunk.lines.push({ type: 'removed', content, oldLine, newLine: null });
+        oldLine += 1;
+        hunk.oldRemaining -= 1;
+        return;
+      }
+      if (marker === ' ' || line === '') {
+        hunk.lines.push({ type: 'context', content, oldLine, newLine });
+        oldLine += 1;
+        newLine += 1;
+        hunk.oldRemaining -= 1;
+        hunk.newRemaining -= 1;
+        return;
+      }
+    }
+
+    if (line.startsWith('\\')) return; // "\ No newline at end of file"
+
+    if (line.startsWith('--- ')) {
+      const oldPath = stripPrefix(line.substring(4).split('\t')[0]);
+      if (!file || file.hunks.length > 0) startFile();
+      file.oldPath = oldPath;
+      return;
+    }
+    if (line.startsWith('+++ ') && file) {
+      file.newPath = stripPrefix(line.substring(4).split('\t')[0]);
+      file.path = file.newPath || file.oldPath;
+      if (!file.oldPath) file.status = 'added';
+      if (!file.newPath) file.status = 'deleted';
+      return;
+    }
+    if (file && /^new file mode/.test(line)) file.status = 'added';
+    if (file && /^deleted file mode/.test(line)) file.status = 'deleted';
+    if (file && /^rename (from|to) /.test(line)) file.status = 'renamed';
+
+    const header = line.match(HUNK_HEADER_REGEX);
+    if (header && file) {
+      const [, oldStart, oldCount = '1', newStart, newCount = '1'] = header;
+      oldLine = Number(oldStart);
+      newLine = Number(newStart);
+      hunk = {
+        oldStart: oldLine,
+        newStart: newLine,
+        oldRemaining: Number(oldCount),
+        newRemaining: Number(newCount),
+        lines: [],
+      };
+      file.hunks.push(hunk);
+    }
+  });
+
+  return files.map((f) => ({
+    ...f,
+    hunks: f.hunks.map(({ oldStart, newStart, lines }) => ({ oldStart, newStart, lines })),
+  }));
+};
+
+export default parseUnifiedDiff;
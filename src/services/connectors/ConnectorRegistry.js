@@ -0,0 +1,76 @@
+/**
+ * Connector Registry
+ * Holds the platform connectors used by SocialMediaMonitoringService
+ *
+ * A connector is a plain object:
+ *   {
+ *     id: 'twitter',               // unique platform id, used as the post's `platform`
+ *     name: 'Twitter',             // display name
+ *     color: '#1DA1F2',            // optional, plus any other display or rate limit details
+ *     capabilities: {              // which of the calls below the platform supports
+ *       search: true,
+ *       fetchSince: true,
+ *       getPost: true,
+ *     },
+ *     search: async (query, { limit, timeframe, apiKey }) => ({ posts, count, ...details }),
+ *     fetchSince: async (since, { query, limit, apiKey }) => [...posts newer than `since`],
+ *     getPost: async (id, { apiKey }) => post or null,
+ *     normalize: (post) => ({ ... }), // platform payload -> canonical post
+ *   }
+ *
+ * Connectors return posts as the platform sends them; `normalize` maps one to the
+ * canonical post of POST_SCHEMA (build it with createPost from postModel).
+ */
+
+const REQUIRED_FIELDS = ['id', 'name', 'capabilities'];
+const REQUIRED_METHODS = ['search', 'fetchSince', 'getPost', 'normalize'];
+
+class ConnectorRegistry {
+  constructor(connectors = []) {
+    this.connectors = new Map();
+    connectors.forEach((connector) => this.register(connector));
+  }
+
+  /**
+   * Register a connector, replacing any existing connector for the same platform
+   */
+  register(connector) {
+    const missing = REQUIRED_FIELDS.filter((field) => !connector[field]);
+    if (missing.length > 0) {
+      throw new Error(`Connector is missing required fields: ${missing.join(', ')}`);
+    }
+    const methods = REQUIRED_METHODS.filter((method) => typeof connector[method] !== 'function');
+    if (methods.length > 0) {
+      throw new Error(`Connector "${connector.id}" must implement: ${methods.join(', ')}`);
+    }
+    this.connectors.set(connector.id, connector);
+    return this;
+  }
+
+  /**
+   * Remove a connector by platform id
+   */
+  unregister(id) {
+    return this.connectors.delete(id);
+  }
+
+  /**
+   * Get a connector by platform id
+   */
+  get(id) {
+    return this.connectors.get(id);
+  }
+
+  has(id) {
+    return this.connectors.has(id);
+  }
+
+  /**
+   * List all registered connectors
+   */
+  list() {
+    return Array.from(this.connectors.values());
+  }
+}
+
+export default ConnectorRegistry;
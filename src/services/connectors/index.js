@@ -0,0 +1,42 @@
+/**
+ * Connectors
+ * Default platform connectors used by SocialMediaMonitoringService
+ */
+
+import { CONNECTOR_CONFIG } from '../../config/config';
+import ConnectorRegistry from './ConnectorRegistry';
+import sampleConnectors from './sampleConnectors';
+import { createReplayConnector, parseRecording } from './replayConnector';
+import { POST_SCHEMA } from './postSchema';
+import { createPost, getPostErrors, validatePosts, PostValidationError } from './postModel';
+
+export {
+  ConnectorRegistry,
+  sampleConnectors,
+  createReplayConnector,
+  parseRecording,
+  POST_SCHEMA,
+  createPost,
+  getPostErrors,
+  validatePosts,
+  PostValidationError,
+};
+
+/**
+ * Create a registry preloaded with the built-in connectors, or with replays of their
+ * recordings when the configured source is 'replay'
+ */
+export const createDefaultConnectorRegistry = ({ source, replay } = CONNECTOR_CONFIG) => {
+  switch (source) {
+    case 'live':
+      return new ConnectorRegistry(sampleConnectors);
+    case 'replay':
+      return new ConnectorRegistry(
+        sampleConnectors.map((connector) => createReplayConnector(connector, replay))
+      );
+    default:
+      throw new Error(`Unknown post source "${source}" (expected "live" or "replay")`);
+  }
+};
+
+export default createDefaultConnectorRegistry;
@@ -0,0 +1,84 @@
+/**
+ * Post Model
+ * Builds canonical posts for connectors and validates them against POST_SCHEMA, so
+ * detection and analytics read one shape whatever the platform
+ */
+
+import Ajv from 'ajv';
+import { POST_SCHEMA } from './postSchema';
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+ajv.addFormat('date-time', (value) => !Number.isNaN(Date.parse(value)));
+const validatePostSchema = ajv.compile(POST_SCHEMA);
+
+/**
+ * Thrown when a connector returns posts that are not canonical; `errors` lists every
+ * problem found
+ */
+export class PostValidationError extends Error {
+  constructor(platform, errors) {
+    super(`Invalid ${platform} posts:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'PostValidationError';
+    this.platform = platform;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Turn an ajv error into a readable sentence about a post
+ */
+const formatSchemaError = (post, error) => {
+  const path = error.instancePath.substring(1).replace(/\//g, '.') || 'post';
+  const message =
+    error.keyword === 'additionalProperties'
+      ? `has unknown property "${error.params.additionalProperty}"`
+      : error.message;
+  return `${(post && post.id) || 'post'}: ${path} ${message}`;
+};
+
+/**
+ * Problems with a post, as readable sentences (empty when it is valid)
+ */
+export const getPostErrors = (post) =>
+  validatePostSchema(post)
+    ? []
+    : validatePostSchema.errors.map((error) => formatSchemaError(post, error));
+
+/**
+ * Check every post of a platform, throwing a PostValidationError if any is invalid
+ */
+export const validatePosts = (platform, posts) => {
+  const errors = posts.flatMap(getPostErrors);
+  if (errors.length > 0) throw new PostValidationError(platform, errors);
+  return posts;
+};
+
+/**
+ * A canonical post with defaults for what the platform did not provide. `createdAt`
+ * may be a Date; `engagement.total` defaults to reactions + comments + shares.
+ */
+export const createPost = ({ author = {}, engagement = {}, createdAt, ...fields }) => {
+  const counts = { reactions: 0, comments: 0, shares: 0, views: 0, ...engagement };
+  return {
+    url: null,
+    title: null,
+    text: '',
+    attachments: [],
+    reach: null,
+    language: null,
+    parentId: null,
+    threadId: null,
+    sentiment: null,
+    raw: {},
+    ...fields,
+    author: { id: null, handle: null, ...author },
+    createdAt: createdAt instanceof Date ? createdAt.toISOString() : createdAt,
+    engagement: {
+      ...counts,
+      total:
+        engagement.total !== undefined
+          ? engagement.total
+          : counts.reactions + counts.comments + counts.shares,
+    },
+  };
+};
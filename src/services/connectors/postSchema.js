@@ -0,0 +1,109 @@
+/**
+ * Post Schema
+ * JSON Schema for the canonical post every connector's `normalize` returns (see postModel)
+ *
+ * Example post:
+ *   {
+ *     "id": "rd_1",
+ *     "platform": "reddit",
+ *     "url": "https://www.reddit.com/r/netsec/comments/rd_1",
+ *     "author": { "id": "t2_abc123", "handle": "anonymous_hacker" },
+ *     "title": "data breach leak discussion",
+ *     "text": "Discussion about recent data exposure...",
+ *     "attachments": [{ "type": "image", "url": "https://i.redd.it/x.png" }],
+ *     "createdAt": "2024-05-01T09:30:00.000Z",
+ *     "engagement": { "reactions": 3200, "comments": 890, "shares": 0, "views": 0, "total": 4090 },
+ *     "reach": null,
+ *     "language": "en",
+ *     "parentId": null,
+ *     "threadId": "rd_1",
+ *     "sentiment": "negative",
+ *     "raw": { ...the platform's payload }
+ *   }
+ */
+
+const count = { type: 'integer', minimum: 0 };
+const nullableString = { type: ['string', 'null'] };
+
+export const POST_SCHEMA = {
+  type: 'object',
+  required: [
+    'id',
+    'platform',
+    'url',
+    'author',
+    'title',
+    'text',
+    'attachments',
+    'createdAt',
+    'engagement',
+    'reach',
+    'language',
+    'parentId',
+    'threadId',
+    'sentiment',
+    'raw',
+  ],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    platform: { type: 'string', minLength: 1 },
+    url: nullableString,
+    author: {
+      type: 'object',
+      required: ['id', 'handle'],
+      additionalProperties: false,
+      properties: {
+        id: nullableString,
+        // What the platform shows for the author: @handle, username or display name
+        handle: nullableString,
+      },
+    },
+    title: nullableString,
+    // Body of the post ('' when it only has a title)
+    text: { type: 'string' },
+    attachments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type'],
+        additionalProperties: false,
+        properties: {
+          type: { enum: ['image', 'video', 'file', 'link'] },
+          name: { type: 'string' },
+          url: { type: 'string' },
+          alt: { type: 'string' },
+          mimeType: { type: 'string' },
+          // Inline content (bytes, data URL or text) when there is no url
+          data: {},
+        },
+      },
+    },
+    createdAt: { type: 'string', format: 'date-time' },
+    engagement: {
+      type: 'object',
+      required: ['reactions', 'comments', 'shares', 'views', 'total'],
+      additionalProperties: false,
+      properties: {
+        // Likes, upvotes, stars or reactions
+        reactions: count,
+        // Comments or replies
+        comments: count,
+        // Shares, retweets or forks
+        shares: count,
+        views: count,
+        total: count,
+      },
+    },
+    // Size of the audience the post was pushed to (e.g. the author's followers)
+    reach: { anyOf: [count, { type: 'null' }] },
+    // ISO 639-1 code reported by the platform
+    language: { anyOf: [{ type: 'string', pattern: '^[a-z]{2}$' }, { type: 'null' }] },
+    parentId: nullableString,
+    threadId: nullableString,
+    sentiment: { enum: ['positive', 'neutral', 'negative', null] },
+    raw: { type: 'object' },
+  },
+};
+
+export default POST_SCHEMA;
@@ -0,0 +1,140 @@
+/**
+ * Replay Connector
+ * Replays posts recorded from a platform, for demos and tests that must look the same on
+ * every run. A recording is JSONL with one `{ "recordedAt", "post" }` per line, `post`
+ * being the platform's payload, which the platform's own connector normalizes.
+ */
+
+import { CONNECTOR_CONFIG } from '../../config/config';
+
+const fetchText = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load recorded posts from ${url}: HTTP ${response.status}`);
+  }
+  return response.text();
+};
+
+/**
+ * Entries of a JSONL recording, oldest first, with `recordedAt` in milliseconds
+ */
+export const parseRecording = (text) =>
+  text
+    .split('\n')
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${number} of the recording is not valid JSON: ${error.message}`);
+      }
+      const recordedAt = Date.parse(entry.recordedAt);
+      if (Number.isNaN(recordedAt) || !entry.post) {
+        throw new Error(`Line ${number} of the recording needs "recordedAt" and "post"`);
+      }
+      return { recordedAt, post: entry.post };
+    })
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+
+// Every word of the query appears in the post's title or text
+const matchesQuery = (entry, query) =>
+  query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((term) => entry.searchText.includes(term));
+
+/**
+ * Replay of a platform's recording, standing in for its connector. Options default to
+ * CONNECTOR_CONFIG.replay:
+ *   speed, align, at - timing of the replay (see CONNECTOR_CONFIG)
+ *   load             - (platform) => Promise of the recording's JSONL text; by default
+ *                      fetched from <fixturesUrl>/<platform>.jsonl
+ *   clock            - () => current time in milliseconds
+ * Posts are released once the clock reaches their replayed time, which also becomes
+ * their `createdAt`; `raw` keeps the payload as recorded.
+ */
+export const createReplayConnector = (connector, options = {}) => {
+  const {
+    fixturesUrl,
+    speed,
+    align,
+    at,
+    clock = () => Date.now(),
+    load = (platform) => fetchText(`${fixturesUrl}/${platform}.jsonl`),
+  } = { ...CONNECTOR_CONFIG.replay, ...options };
+  // Evaluated once, so the replay does not move while it runs
+  const startedAt = at === 'now' ? clock() : null;
+  let replay = null;
+
+  // Recorded posts with their replayed time, loaded on first use
+  const getReplay = () => {
+    if (!replay) {
+      replay = load(connector.id).then((text) => {
+        const recording = parseRecording(text);
+        if (recording.length === 0) return [];
+        const first = recording[0].recordedAt;
+        const last = recording[recording.length - 1].recordedAt;
+        const duration = last - first;
+        let anchor = align === 'end' ? last : first;
+        if (startedAt !== null) anchor = startedAt;
+        else if (at) anchor = Date.parse(at);
+        const start = align === 'end' ? anchor - duration / speed : anchor;
+        return recording.map(({ recordedAt, post }) => {
+          const { id, title, text: body } = connector.normalize(post);
+          return {
+            id,
+            searchText: `${title || ''} ${body}`.toLowerCase(),
+            post,
+            replayedAt: Math.round(start + (recordedAt - first) / speed),
+          };
+        });
+      });
+      // Try loading again on the next call
+      replay.catch(() => {
+        replay = null;
+      });
+    }
+    return replay;
+  };
+
+  const released = async () => {
+    const now = clock();
+    return (await getReplay()).filter((entry) => entry.replayedAt <= now);
+  };
+
+  const toRecord = ({ post, replayedAt }) => ({ post, replayedAt });
+
+  return {
+    ...connector,
+    capabilities: { search: true, fetchSince: true, getPost: true },
+    // Newest first, like platform search APIs
+    async search(query, { limit = 50 } = {}) {
+      const matching = (await released()).filter((entry) => matchesQuery(entry, query));
+      return {
+        count: matching.length,
+        posts: matching.reverse().slice(0, limit).map(toRecord),
+        replay: { speed, align },
+      };
+    },
+    async fetchSince(since, { query = '', limit = 50 } = {}) {
+      const after = new Date(since).getTime();
+      return (await released())
+        .filter((entry) => entry.replayedAt > after && matchesQuery(entry, query))
+        .slice(0, limit)
+        .map(toRecord);
+    },
+    async getPost(id) {
+      const entry = (await released()).find((candidate) => candidate.id === id);
+      return entry ? toRecord(entry) : null;
+    },
+    normalize: ({ post, replayedAt }) => ({
+      ...connector.normalize(post),
+      createdAt: new Date(replayedAt).toISOString(),
+    }),
+  };
+};
+
+export default createReplayConnector;
@@ -0,0 +1,110 @@
+import { createReplayConnector, parseRecording } from './replayConnector';
+
+const RECORDING = [
+  { recordedAt: '2024-05-07T12:00:00.000Z', post: { id: 'p2', text: 'Second post about a leak' } },
+  '',
+  { recordedAt: '2024-05-07T10:00:00.000Z', post: { id: 'p1', text: 'First post' } },
+  { recordedAt: '2024-05-07T14:00:00.000Z', post: { id: 'p3', text: 'Third LEAK post' } },
+]
+  .map((line) => (line ? JSON.stringify(line) : line))
+  .join('\n');
+
+const HOUR = 60 * 60 * 1000;
+const FIRST = Date.parse('2024-05-07T10:00:00.000Z');
+
+const connector = {
+  id: 'sample',
+  normalize: (post) => ({ id: post.id, title: null, text: post.text }),
+};
+
+// Replay connector with a clock the test moves
+const createReplay = (options = {}) => {
+  const clock = { now: Date.parse('2030-01-01T00:00:00.000Z') };
+  const replay = createReplayConnector(connector, {
+    load: async () => RECORDING,
+    clock: () => clock.now,
+    ...options,
+  });
+  return { replay, clock };
+};
+
+const createdAt = (records, replay) =>
+  records.map((record) => [record.post.id, replay.normalize(record).createdAt]);
+
+describe('parseRecording', () => {
+  it('returns the entries oldest first, skipping blank lines', () => {
+    expect(parseRecording(RECORDING).map((entry) => [entry.post.id, entry.recordedAt])).toEqual([
+      ['p1', FIRST],
+      ['p2', FIRST + 2 * HOUR],
+      ['p3', FIRST + 4 * HOUR],
+    ]);
+  });
+
+  it('reports the line of an invalid entry', () => {
+    expect(() => parseRecording('{"recordedAt":"2024-05-07","post":{}}\n{oops')).toThrow(
+      /^Line 2 of the recording is not valid JSON/
+    );
+    expect(() => parseRecording('{"recordedAt":"yesterday","post":{}}')).toThrow(
+      'Line 1 of the recording needs "recordedAt" and "post"'
+    );
+  });
+});
+
+describe('createReplayConnector', () => {
+  it('keeps the recorded times by default, whatever the clock', async () => {
+    const { replay } = createReplay();
+    const { posts } = await replay.search('');
+    const { posts: later } = await createReplay({
+      clock: () => Date.parse('2035-01-01T00:00:00.000Z'),
+    }).replay.search('');
+
+    expect(createdAt(posts, replay)).toEqual([
+      ['p3', '2024-05-07T14:00:00.000Z'],
+      ['p2', '2024-05-07T12:00:00.000Z'],
+      ['p1', '2024-05-07T10:00:00.000Z'],
+    ]);
+    expect(createdAt(later, replay)).toEqual(createdAt(posts, replay));
+  });
+
+  it('releases posts as the clock reaches them when started now', async () => {
+    const { replay, clock } = createReplay({ align: 'start', at: 'now', speed: 2 });
+    const start = clock.now;
+    expect((await replay.search('')).posts.map((record) => record.post.id)).toEqual(['p1']);
+
+    clock.now = start + HOUR;
+    const { posts } = await replay.search('');
+    expect(createdAt(posts, replay)).toEqual([
+      ['p2', new Date(start + HOUR).toISOString()],
+      ['p1', new Date(start).toISOString()],
+    ]);
+    expect(await replay.getPost('p3')).toBeNull();
+  });
+
+  it('ends the replay at a given time', async () => {
+    const { replay } = createReplay({ at: '2024-06-01T00:00:00.000Z' });
+    const { posts } = await replay.search('');
+    expect(replay.normalize(posts[0]).createdAt).toBe('2024-06-01T00:00:00.000Z');
+    expect(replay.normalize(posts[2]).createdAt).toBe('2024-05-31T20:00:00.000Z');
+  });
+
+  it('searches every query word in the post, newest first', async () => {
+    const { replay } = createReplay();
+    const result = await replay.search('leak post', { limit: 1 });
+    expect(result.count).toBe(2);
+    expect(result.posts.map((record) => record.post.id)).toEqual(['p3']);
+  });
+
+  it('fetches posts after a time, oldest first', async () => {
+    const { replay } = createReplay();
+    const records = await replay.fetchSince('2024-05-07T10:00:00.000Z');
+    expect(records.map((record) => record.post.id)).toEqual(['p2', 'p3']);
+  });
+
+  it('loads the recording again after a failure', async () => {
+    const load = jest.fn().mockRejectedValueOnce(new Error('offline')).mockResolvedValue(RECORDING);
+    const { replay } = createReplay({ load });
+    await expect(replay.search('')).rejects.toThrow('offline');
+    expect((await replay.search('')).count).toBe(3);
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+});
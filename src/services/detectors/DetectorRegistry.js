@@ -0,0 +1,134 @@
+/**
+ * Detector Registry
+ * Holds the pluggable detectors used by DataLeakDetectionService
+ *
+ * A detector is a plain object:
+ *   {
+ *     id: 'github-pat',            // unique id
+ *     type: 'API_KEY',             // suspicious element type
+ *     category: 'secret',          // secret | network | financial | database | pii
+ *     provider: 'GitHub',
+ *     keyType: 'Personal Access Token',
+ *     severity: 'critical',
+ *     dataType: 'Personal Identifiers', // optional DATA_EXPOSURE_TYPES value the finding evidences
+ *     pattern: /.../g,             // global regex; capture group 1 is the value if present
+ *     validate: (value) => bool,   // optional format check (checksum, decoding, ...)
+ *     discardInvalid: false,       // drop matches that fail `validate` instead of flagging them
+ *     detect: (content) => [...],  // optional, replaces `pattern` for multi-part formats
+ *     fallback: false,             // drop matches that overlap a finding from a specific detector
+ *   }
+ *
+ * `detect` results may override any of the detector's fields per finding (e.g. severity).
+ * Detectors that mask their match report the original length as `rawLength`.
+ */
+
+const REQUIRED_FIELDS = ['id', 'type', 'severity'];
+
+// Masked findings report the length of the original text separately
+const spanLength = (finding) => finding.rawLength || finding.match.length;
+
+class DetectorRegistry {
+  constructor(detectors = []) {
+    this.detectors = new Map();
+    detectors.forEach((detector) => this.register(detector));
+  }
+
+  /**
+   * Register a detector, replacing any existing detector with the same id
+   */
+  register(detector) {
+    const missing = REQUIRED_FIELDS.filter((field) => !detector[field]);
+    if (missing.length > 0) {
+      throw new Error(`Detector is missing required fields: ${missing.join(', ')}`);
+    }
+    if (!detector.pattern && typeof detector.detect !== 'function') {
+      throw new Error(`Detector "${detector.id}" needs either a pattern or a detect function`);
+    }
+    if (detector.pattern && !detector.pattern.global) {
+      throw new Error(`Detector "${detector.id}" pattern must use the global flag`);
+    }
+    this.detectors.set(detector.id, detector);
+    return this;
+  }
+
+  /**
+   * Remove a detector by id
+   */
+  unregister(id) {
+    return this.detectors.delete(id);
+  }
+
+  /**
+   * Get a detector by id
+   */
+  get(id) {
+    return this.detectors.get(id);
+  }
+
+  /**
+   * List all registered detectors
+   */
+  list() {
+    return Array.from(this.detectors.values());
+  }
+
+  /**
+   * Run every detector against the content and return individual findings
+   */
+  scan(content) {
+    const findings = [];
+    const fallbacks = [];
+    this.detectors.forEach((detector) => {
+      const target = detector.fallback ? fallbacks : findings;
+      this.runDetector(detector, content).forEach((result) => {
+        target.push({
+          detector: detector.id,
+          type: detector.type,
+          category: detector.category || 'other',
+          provider: detector.provider || null,
+          keyType: detector.keyType || null,
+          severity: detector.severity,
+          dataType: detector.dataType || null,
+          validated: false,
+          ...result,
+        });
+      });
+    });
+
+    fallbacks.forEach((finding) => {
+      const end = finding.index + spanLength(finding);
+      const overlaps = findings.some(
+        (existing) => existing.index < end && finding.index < existing.index + spanLength(existing)
+      );
+      if (!overlaps) findings.push(finding);
+    });
+    return findings;
+  }
+
+  /**
+   * Collect raw matches for a single detector
+   */
+  runDetector(detector, content) {
+    if (typeof detector.detect === 'function') {
+      return detector.detect(content);
+    }
+
+    const results = [];
+    const regex = new RegExp(detector.pattern.source, detector.pattern.flags);
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+      if (match[0].length === 0) {
+        regex.lastIndex += 1;
+        continue;
+      }
+      const value = match[1] !== undefined ? match[1] : match[0];
+      const index = match.index + match[0].indexOf(value);
+      const validated = detector.validate ? Boolean(detector.validate(value)) : false;
+      if (detector.validate && !validated && detector.discardInvalid) continue;
+      results.push({ match: value, index, validated });
+    }
+    return results;
+  }
+}
+
+export default DetectorRegistry;
@@ -0,0 +1,147 @@
+/**
+ * Checksum Helpers
+ * Format-level checksums used by detectors to validate candidate matches
+ */
+
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+let crcTable = null;
+
+/**
+ * Build (once) the lookup table for the IEEE 802.3 CRC32 polynomial
+ */
+const getCrcTable = () => {
+  if (crcTable) return crcTable;
+  crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+  return crcTable;
+};
+
+/**
+ * CRC32 of an ASCII string, as an unsigned 32-bit integer
+ */
+export const crc32 = (text) => {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < text.length; i += 1) {
+    crc = table[(crc ^ text.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encode a non-negative integer in base62, left-padded to `width`
+ */
+export const toBase62 = (value, width = 0) => {
+  let remaining = value;
+  let encoded = '';
+  do {
+    encoded = BASE62_ALPHABET[remaining % 62] + encoded;
+    remaining = Math.floor(remaining / 62);
+  } while (remaining > 0);
+  return encoded.padStart(width, '0');
+};
+
+/**
+ * Validate the CRC32 suffix used by GitHub and npm tokens:
+ * `<prefix>_<30 random chars><6 char base62 CRC32 of the random part>`
+ */
+export const hasValidCrc32Suffix = (token) => {
+  const body = token.substring(token.indexOf('_') + 1);
+  if (body.length !== 36) return false;
+  const random = body.substring(0, 30);
+  const checksum = body.substring(30);
+  return toBase62(crc32(random), 6) === checksum;
+};
+
+/**
+ * Decode a base64url segment, returning null when it is not valid
+ */
+export const decodeBase64Url = (segment) => {
+  try {
+    const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    return atob(padded);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Luhn (mod 10) check used by payment card numbers
+ */
+export const isValidLuhn = (digits) => {
+  if (!/^[0-9]+$/.test(digits)) return false;
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i -= 1) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * ISO 7064 mod 97-10 check used by IBANs
+ */
+export const isValidIbanChecksum = (iban) => {
+  const rearranged = iban.substring(4) + iban.substring(0, 4);
+  let remainder = 0;
+  for (let i = 0; i < rearranged.length; i += 1) {
+    const code = rearranged.charCodeAt(i);
+    // Letters expand to two digits (A = 10 ... Z = 35)
+    const value = code >= 65 ? String(code - 55) : rearranged[i];
+    for (let j = 0; j < value.length; j += 1) {
+      remainder = (remainder * 10 + Number(value[j])) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+/**
+ * Verhoeff check used by Aadhaar numbers
+ */
+export const isValidVerhoeff = (digits) => {
+  if (!/^[0-9]+$/.test(digits)) return false;
+  let check = 0;
+  const reversed = digits.split('').reverse();
+  reversed.forEach((digit, i) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digit)]];
+  });
+  return check === 0;
+};
@@ -0,0 +1,105 @@
+import {
+  crc32,
+  decodeBase64Url,
+  hasValidCrc32Suffix,
+  isValidIbanChecksum,
+  isValidLuhn,
+  isValidVerhoeff,
+  toBase62,
+} from './checksums';
+
+// A token in the GitHub format, with the checksum of its random part
+const token = (random) => `ghp_${random}${toBase62(crc32(random), 6)}`;
+
+describe('crc32', () => {
+  it('matches the IEEE 802.3 check value', () => {
+    expect(crc32('123456789')).toBe(0xcbf43926);
+    expect(crc32('')).toBe(0);
+  });
+});
+
+describe('toBase62', () => {
+  it('encodes with digits, upper and lower case letters', () => {
+    expect(toBase62(0)).toBe('0');
+    expect(toBase62(61)).toBe('z');
+    expect(toBase62(62)).toBe('10');
+  });
+
+  it('pads to the width', () => {
+    expect(toBase62(61, 6)).toBe('00000z');
+  });
+});
+
+describe('hasValidCrc32Suffix', () => {
+  const random = 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5';
+
+  it('accepts a token whose suffix is the CRC32 of its random part', () => {
+    expect(hasValidCrc32Suffix(token(random))).toBe(true);
+  });
+
+  it('rejects a token with a changed character', () => {
+    const valid = token(random);
+    expect(hasValidCrc32Suffix(`${valid.substring(0, 10)}X${valid.substring(11)}`)).toBe(false);
+  });
+
+  it('rejects a token of the wrong length', () => {
+    expect(hasValidCrc32Suffix(token(random).slice(0, -1))).toBe(false);
+  });
+});
+
+describe('decodeBase64Url', () => {
+  it('decodes unpadded base64url', () => {
+    expect(decodeBase64Url('eyJhbGciOiJIUzI1NiJ9')).toBe('{"alg":"HS256"}');
+    expect(decodeBase64Url('_-8')).toBe('ÿï');
+  });
+
+  it('returns null for invalid input', () => {
+    expect(decodeBase64Url('not base64!')).toBeNull();
+  });
+});
+
+describe('isValidLuhn', () => {
+  it('accepts valid card numbers', () => {
+    expect(isValidLuhn('4111111111111111')).toBe(true);
+    expect(isValidLuhn('79927398713')).toBe(true);
+  });
+
+  it('rejects a wrong check digit', () => {
+    expect(isValidLuhn('4111111111111112')).toBe(false);
+    expect(isValidLuhn('79927398710')).toBe(false);
+  });
+
+  it('rejects anything but digits', () => {
+    expect(isValidLuhn('4111 1111 1111 1111')).toBe(false);
+    expect(isValidLuhn('')).toBe(false);
+  });
+});
+
+describe('isValidIbanChecksum', () => {
+  it('accepts valid IBANs', () => {
+    expect(isValidIbanChecksum('GB82WEST12345698765432')).toBe(true);
+    expect(isValidIbanChecksum('DE89370400440532013000')).toBe(true);
+  });
+
+  it('rejects a changed digit or swapped check digits', () => {
+    expect(isValidIbanChecksum('GB82WEST12345698765433')).toBe(false);
+    expect(isValidIbanChecksum('GB28WEST12345698765432')).toBe(false);
+  });
+});
+
+describe('isValidVerhoeff', () => {
+  it('accepts numbers with a valid check digit', () => {
+    expect(isValidVerhoeff('2363')).toBe(true);
+    expect(isValidVerhoeff('123451')).toBe(true);
+  });
+
+  it('catches a changed digit and adjacent transpositions', () => {
+    expect(isValidVerhoeff('2364')).toBe(false);
+    expect(isValidVerhoeff('3263')).toBe(false);
+  });
+
+  it('rejects anything but digits', () => {
+    expect(isValidVerhoeff('23 63')).toBe(false);
+    expect(isValidVerhoeff('')).toBe(false);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Connection String Detectors
+ * Parses database/broker connection URIs, JDBC URLs and DSNs, plus
+ * `user:pass@host` credentials embedded in any URL. Passwords are masked.
+ */
+
+import { DATA_EXPOSURE_TYPES } from '../../config/config';
+
+const PASSWORD_MASK = '****';
+
+export const DEFAULT_PORTS = {
+  mongodb: 27017,
+  'mongodb+srv': null,
+  postgres: 5432,
+  postgresql: 5432,
+  mysql: 3306,
+  mariadb: 3306,
+  redis: 6379,
+  rediss: 6380,
+  amqp: 5672,
+  amqps: 5671,
+  smb: 445,
+  sqlserver: 1433,
+  mssql: 1433,
+  oracle: 1521,
+};
+
+const DB_SCHEMES = Object.keys(DEFAULT_PORTS)
+  .map((scheme) => scheme.replace('+', '\\+'))
+  .join('|');
+
+const URI_REGEX = new RegExp(`\\b((?:jdbc:)?(?:${DB_SCHEMES}):\\/\\/[^\\s'"<>\`]+)`, 'gi');
+const ORACLE_THIN_REGEX =
+  /\b(jdbc:oracle:thin:(?:([^\s/@:]+)\/([^\s@]+))?@(?:\/\/)?([A-Za-z0-9.-]+)(?::(\d+))?[:/]([A-Za-z0-9_.$-]+))/gi;
+const ADO_DSN_REGEX =
+  /((?:^|[\s"'])(?:(?:Server|Data Source|Host|Address|Database|Initial Catalog|User ID|UID|User|Password|Pwd|Port)\s*=\s*[^;\n]*;\s*){2,}(?:[A-Za-z ]+=[^;\n\s"']*)?)/gi;
+const LIBPQ_DSN_REGEX =
+  /\b((?:host|hostaddr)=\S+(?:\s+(?:port|dbname|user|password|sslmode|connect_timeout)=\S+)+)/g;
+const URL_CREDENTIALS_REGEX =
+  /\b([a-z][a-z0-9+.-]*):\/\/([^\s:@/'"]+):([^\s@/'"]+)@([A-Za-z0-9.-]+)(?::(\d+))?([^\s'"<>]*)/gi;
+
+/**
+ * Replace the password where it sits between its delimiters (`:pass@`, `=pass`, `/pass@`)
+ */
+const maskPassword = (raw, password) => {
+  const escaped = password.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const placements = [`(:)${escaped}(@)`, `(=\\s*)${escaped}()`, `(/)${escaped}(@)`];
+  const placement = placements.map((source) => new RegExp(source)).find((regex) => regex.test(raw));
+  return placement ? raw.replace(placement, `$1${PASSWORD_MASK}$2`) : raw;
+};
+
+/**
+ * Build a finding for a parsed connection, masking any password
+ */
+const buildConnectionFinding = ({
+  raw,
+  index,
+  scheme,
+  username,
+  password,
+  host,
+  port,
+  database,
+}) => {
+  const hasPassword = Boolean(password);
+  const normalizedScheme = scheme.toLowerCase();
+  return {
+    match: hasPassword ? maskPassword(raw, password) : raw,
+    index,
+    rawLength: raw.length,
+    keyType: `${normalizedScheme} connection`,
+    scheme: normalizedScheme,
+    host: host || null,
+    port: port ? Number(port) : DEFAULT_PORTS[normalizedScheme] || null,
+    database: database || null,
+    username: username || null,
+    hasPassword,
+    password: hasPassword ? PASSWORD_MASK : null,
+    validated: Boolean(host),
+    severity: hasPassword ? 'critical' : 'medium',
+    dataType: hasPassword ? DATA_EXPOSURE_TYPES.CREDENTIALS : DATA_EXPOSURE_TYPES.INFRASTRUCTURE,
+  };
+};
+
+// Percent-decode a URI component, keeping it as written when it is not valid encoding
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Parse `scheme://[user[:pass]@]host[:port][,host2...][/database][?params][;key=value...]`
+ */
+export const parseConnectionUri = (uri) => {
+  // JDBC SQL Server style `;key=value` properties come after the host
+  const [base, ...properties] = uri.split(/;(?=[A-Za-z]+=)/);
+  const match = base.match(
+    /^(?:jdbc:)?([a-z][a-z0-9+.-]*):\/\/(?:([^:@/\s]*)(?::([^@/\s]*))?@)?([^/?\s]+)(?:\/([^?\s]*))?(?:\?(\S*))?$/i
+  );
+  if (!match) return null;
+
+  const [, scheme, username, password, hosts, path, query] = match;
+  const [firstHost] = hosts.split(',');
+  const [host, port] = firstHost.split(':');
+  const params = {};
+  [...(query || '').split('&'), ...properties].forEach((pair) => {
+    const [key, value] = pair.split('=');
+    if (key && value !== undefined) params[key.toLowerCase()] = safeDecode(value);
+  });
+
+  return {
+    scheme,
+    username: username || params.user || params.username || null,
+    password: password || params.password || null,
+    host,
+    port,
+    database: (path && path.split('/')[0]) || params.databasename || params.database || null,
+  };
+};
+
+/**
+ * Parse `key=value` pairs from an ADO.NET (`;`-separated) or libpq (space-separated) DSN
+ */
+export const parseDsn = (dsn) => {
+  const pairs = {};
+  dsn
+    .split(dsn.includes(';') ? ';' : /\s+/)
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        pairs[pair.substring(0, separator).trim().toLowerCase()] = pair
+          .substring(separator + 1)
+          .trim();
+      }
+    });
+
+  const hostValue =
+    pairs.server || pairs['data source'] || pairs.host || pairs.hostaddr || pairs.address;
+  if (!hostValue) return null;
+  const [host, inlinePort] = hostValue.replace(/^tcp:/i, '').split(/[,:]/);
+
+  return {
+    username: pairs['user id'] || pairs.uid || pairs.user || null,
+    password: pairs.password || pairs.pwd || null,
+    host,
+    port: pairs.port || inlinePort,
+    database: pairs.database || pairs['initial catalog'] || pairs.dbname || null,
+  };
+};
+
+/**
+ * Find connection URIs and JDBC URLs for known database and broker schemes
+ */
+const detectConnectionUris = (content) => {
+  const results = [];
+  let match;
+
+  const uriRegex = new RegExp(URI_REGEX.source, 'gi');
+  while ((match = uriRegex.exec(content)) !== null) {
+    const raw = match[1].replace(/[.,)\]]+$/, '');
+    const parsed = parseConnectionUri(raw);
+    if (parsed) results.push(buildConnectionFinding({ raw, index: match.index, ...parsed }));
+  }
+
+  const oracleRegex = new RegExp(ORACLE_THIN_REGEX.source, 'gi');
+  while ((match = oracleRegex.exec(content)) !== null) {
+    const [raw, , username, password, host, port, database] = match;
+    results.push(
+      buildConnectionFinding({
+        raw,
+        index: match.index,
+        scheme: 'oracle',
+        username,
+        password,
+        host,
+        port,
+        database,
+      })
+    );
+  }
+
+  return results;
+};
+
+/**
+ * Find ADO.NET and libpq style DSNs
+ */
+const detectDsns = (content) => {
+  const results = [];
+  [ADO_DSN_REGEX, LIBPQ_DSN_REGEX].forEach((pattern) => {
+    const regex = new RegExp(pattern.source, pattern.flags);
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+      const raw = match[1].trim();
+      const parsed = parseDsn(raw);
+      if (!parsed) continue;
+      const scheme = pattern === LIBPQ_DSN_REGEX ? 'postgresql' : 'sqlserver';
+      results.push(
+        buildConnectionFinding({
+          raw,
+          index: match.index + match[0].indexOf(raw),
+          scheme,
+          ...parsed,
+        })
+      );
+    }
+  });
+  return results;
+};
+
+/**
+ * Find `user:pass@host` credentials embedded in URLs of any scheme
+ */
+const detectUrlCredentials = (content) => {
+  const results = [];
+  const regex = new RegExp(URL_CREDENTIALS_REGEX.source, 'gi');
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    const [raw, scheme, username, password, host, port, path] = match;
+    results.push({
+      ...buildConnectionFinding({
+        raw,
+        index: match.index,
+        scheme,
+        username,
+        password,
+        host,
+        port,
+        database: null,
+      }),
+      keyType: 'URL Credentials',
+      path: path || null,
+    });
+  }
+  return results;
+};
+
+const connectionStringDetectors = [
+  {
+    id: 'database-connection-uri',
+    type: 'DATABASE_CONNECTION',
+    category: 'database',
+    keyType: 'Connection URI',
+    severity: 'critical',
+    detect: detectConnectionUris,
+  },
+  {
+    id: 'database-dsn',
+    type: 'DATABASE_CONNECTION',
+    category: 'database',
+    keyType: 'Connection DSN',
+    severity: 'critical',
+    detect: detectDsns,
+  },
+  {
+    id: 'url-credentials',
+    type: 'URL_CREDENTIALS',
+    category: 'secret',
+    keyType: 'URL Credentials',
+    severity: 'critical',
+    fallback: true,
+    detect: detectUrlCredentials,
+  },
+];
+
+export default connectionStringDetectors;
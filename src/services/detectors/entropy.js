@@ -0,0 +1,111 @@
+/**
+ * Entropy Scoring
+ * Shannon entropy helpers and a generic detector for random-looking strings
+ */
+
+// Minimum entropy (bits per character) and length for a candidate to be flagged. A string
+// of n characters has at most log2(n) bits per character, so base64 candidates need 23.
+export const ENTROPY_THRESHOLDS = {
+  base64: { threshold: 4.5, minLength: 23, maxBits: 6 },
+  hex: { threshold: 3.0, minLength: 20, maxBits: 4 },
+};
+
+// Lengths of hex digests (MD5, SHA-1 / git commits, SHA-256), only flagged when assigned to a key
+const DIGEST_LENGTHS = [32, 40, 64];
+const KEY_CONTEXT_REGEX =
+  /(?:key|secret|token|passw(?:or)?d|pwd|auth|credential|api)[\w.-]*["']?\s*[:=]\s*["']?$/i;
+
+const CANDIDATE_REGEX = /[A-Za-z0-9+/_=-]{20,}/g;
+const HEX_REGEX = /^[0-9a-fA-F]+$/;
+const BASE64_REGEX = /^[A-Za-z0-9+/_-]+=*$/;
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+export const shannonEntropy = (text) => {
+  if (!text) return 0;
+  const frequencies = {};
+  for (let i = 0; i < text.length; i += 1) {
+    frequencies[text[i]] = (frequencies[text[i]] || 0) + 1;
+  }
+  return Object.values(frequencies).reduce((entropy, count) => {
+    const p = count / text.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+};
+
+/**
+ * Work out which charset a candidate string belongs to (hex, base64 or null)
+ */
+export const classifyCharset = (text) => {
+  if (HEX_REGEX.test(text)) return 'hex';
+  if (BASE64_REGEX.test(text)) return 'base64';
+  return null;
+};
+
+/**
+ * Entropy relative to the maximum possible for the string's charset (0-1)
+ */
+export const normalizedEntropy = (text) => {
+  const charset = classifyCharset(text);
+  const maxBits = charset ? ENTROPY_THRESHOLDS[charset].maxBits : Math.log2(95);
+  return Math.min(shannonEntropy(text) / maxBits, 1);
+};
+
+/**
+ * Whether the text just before `index` assigns the value to a key-like name
+ * (`api_key=...`, `"token": "...`)
+ */
+const hasKeyContext = (content, index) =>
+  KEY_CONTEXT_REGEX.test(content.substring(Math.max(0, index - 40), index));
+
+/**
+ * Find base64 and hex runs whose entropy is above their charset's threshold
+ */
+const detectHighEntropyStrings = (content) => {
+  const results = [];
+  const regex = new RegExp(CANDIDATE_REGEX.source, 'g');
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    const value = match[0].replace(/=+$/, '');
+    const charset = classifyCharset(value);
+    if (!charset) continue;
+
+    const { threshold, minLength } = ENTROPY_THRESHOLDS[charset];
+    // Letters-only runs are words or identifiers and digits-only runs are numbers
+    if (value.length < minLength || /^(?:[A-Za-z]+|[0-9]+)$/.test(value)) continue;
+    // Commit SHAs and checksums are everywhere; they are only secrets when used as one
+    if (
+      charset === 'hex' &&
+      DIGEST_LENGTHS.includes(value.length) &&
+      !hasKeyContext(content, match.index)
+    ) {
+      continue;
+    }
+
+    const entropy = shannonEntropy(value);
+    if (entropy >= threshold) {
+      results.push({
+        match: value,
+        index: match.index,
+        keyType: charset === 'hex' ? 'High-Entropy Hex String' : 'High-Entropy Base64 String',
+        charset,
+        entropy: Number(entropy.toFixed(3)),
+      });
+    }
+  }
+  return results;
+};
+
+export const entropyDetector = {
+  id: 'high-entropy-string',
+  type: 'HIGH_ENTROPY_STRING',
+  category: 'secret',
+  provider: null,
+  keyType: 'High-Entropy String',
+  severity: 'medium',
+  fallback: true,
+  detect: detectHighEntropyStrings,
+};
+
+export default entropyDetector;
@@ -0,0 +1,54 @@
+import entropyDetector, {
+  classifyCharset,
+  ENTROPY_THRESHOLDS,
+  normalizedEntropy,
+  shannonEntropy,
+} from './entropy';
+
+describe('shannonEntropy', () => {
+  it('is log2 of the number of equally frequent characters', () => {
+    expect(shannonEntropy('')).toBe(0);
+    expect(shannonEntropy('aaaa')).toBe(0);
+    expect(shannonEntropy('abab')).toBe(1);
+    expect(shannonEntropy('0123456789abcdef')).toBe(4);
+  });
+});
+
+describe('classifyCharset', () => {
+  it('tells hex from base64', () => {
+    expect(classifyCharset('deadbeef')).toBe('hex');
+    expect(classifyCharset('dGVzdA+/')).toBe('base64');
+    expect(classifyCharset('not base64!')).toBeNull();
+  });
+
+  it('normalizes entropy by the charset', () => {
+    expect(normalizedEntropy('0123456789abcdef')).toBe(1);
+  });
+});
+
+describe('ENTROPY_THRESHOLDS', () => {
+  it('only sets lengths at which the threshold can be reached', () => {
+    Object.values(ENTROPY_THRESHOLDS).forEach(({ threshold, minLength }) => {
+      expect(Math.log2(minLength)).toBeGreaterThanOrEqual(threshold);
+    });
+  });
+});
+
+describe('entropyDetector', () => {
+  it('flags random base64 strings', () => {
+    const [finding] = entropyDetector.detect('token: Zx9Qw2Er7Ty4Ui1Op8As5Df3Gh');
+    expect(finding).toMatchObject({ match: 'Zx9Qw2Er7Ty4Ui1Op8As5Df3Gh', charset: 'base64' });
+  });
+
+  it('ignores words, numbers and low-entropy strings', () => {
+    expect(entropyDetector.detect('supercalifragilisticexpialidocious')).toEqual([]);
+    expect(entropyDetector.detect('123456789012345678901234')).toEqual([]);
+    expect(entropyDetector.detect('abababababababababab1212')).toEqual([]);
+  });
+
+  it('only flags digest-length hex strings assigned to a key', () => {
+    const sha1 = '2fd4e1c67a2d28fced849ee1bb76e7391b93eb12';
+    expect(entropyDetector.detect(`commit ${sha1}`)).toEqual([]);
+    expect(entropyDetector.detect(`api_key: ${sha1}`)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * General Detectors
+ * Network identifiers
+ */
+
+const generalDetectors = [
+  {
+    id: 'ip-address',
+    type: 'IP_ADDRESS',
+    category: 'network',
+    severity: 'high',
+    pattern: /(?:[0-9]{1,3}\.){3}[0-9]{1,3}/g,
+  },
+  {
+    id: 'email-address',
+    type: 'EMAIL_ADDRESS',
+    category: 'network',
+    severity: 'medium',
+    // Skip `user:pass@host` and `scheme://user@host` URL userinfo
+    pattern: /(?:^|[^\w.%+:/-])([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/g,
+  },
+];
+
+export default generalDetectors;
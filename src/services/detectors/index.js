@@ -0,0 +1,44 @@
+/**
+ * Detectors
+ * Default detector set used by DataLeakDetectionService
+ */
+
+import DetectorRegistry from './DetectorRegistry';
+import secretDetectors from './secretDetectors';
+import generalDetectors from './generalDetectors';
+import paymentCardDetectors from './paymentCardDetectors';
+import connectionStringDetectors from './connectionStringDetectors';
+import { PII_LOCALE_PACKS, getPiiDetectors } from './piiDetectors';
+import entropyDetector from './entropy';
+import { loadRules, compileRule, RuleValidationError } from './ruleLoader';
+import { RULE_SCHEMA } from './ruleSchema';
+
+export {
+  DetectorRegistry,
+  secretDetectors,
+  generalDetectors,
+  paymentCardDetectors,
+  connectionStringDetectors,
+  entropyDetector,
+  PII_LOCALE_PACKS,
+  getPiiDetectors,
+  loadRules,
+  compileRule,
+  RuleValidationError,
+  RULE_SCHEMA,
+};
+
+/**
+ * Create a registry preloaded with the built-in detectors and the given PII locale packs
+ */
+export const createDefaultRegistry = ({ piiLocales } = {}) =>
+  new DetectorRegistry([
+    ...secretDetectors,
+    ...paymentCardDetectors,
+    ...connectionStringDetectors,
+    ...getPiiDetectors(piiLocales),
+    ...generalDetectors,
+    entropyDetector,
+  ]);
+
+export default createDefaultRegistry;
@@ -0,0 +1,124 @@
+/**
+ * Payment Card Detectors
+ * Luhn-validated card numbers with IIN/BIN brand identification.
+ * Findings only ever carry the masked PAN (first 6 / last 4).
+ */
+
+import { DATA_EXPOSURE_TYPES } from '../../config/config';
+import { isValidLuhn } from './checksums';
+
+// Brand rules: IIN prefix ranges (inclusive, compared on the same number of digits) and valid lengths
+export const CARD_BRANDS = [
+  { brand: 'American Express', ranges: [[34], [37]], lengths: [15] },
+  { brand: 'Visa', ranges: [[4]], lengths: [13, 16, 19] },
+  {
+    brand: 'Mastercard',
+    ranges: [
+      [51, 55],
+      [2221, 2720],
+    ],
+    lengths: [16],
+  },
+  {
+    brand: 'Discover',
+    ranges: [[6011], [644, 649], [65], [622126, 622925]],
+    lengths: [16, 17, 18, 19],
+  },
+  { brand: 'JCB', ranges: [[3528, 3589]], lengths: [16, 17, 18, 19] },
+  { brand: 'Diners Club', ranges: [[300, 305], [36], [38, 39]], lengths: [14, 15, 16, 17, 18, 19] },
+  { brand: 'UnionPay', ranges: [[62]], lengths: [16, 17, 18, 19] },
+  { brand: 'Maestro', ranges: [[50], [56, 58], [6]], lengths: [12, 13, 14, 15, 16, 17, 18, 19] },
+];
+
+// Digit group layouts that card numbers are printed in (in addition to no separators)
+const CARD_GROUPINGS = [
+  '4-4-4-4',
+  '4-6-5',
+  '4-6-4',
+  '4-4-4-4-3',
+  '4-4-4-4-2',
+  '4-4-4-4-1',
+  '4-4-4-3',
+];
+
+const CANDIDATE_REGEX = /(^|[^0-9-])([0-9](?:[ -]?[0-9]){11,18})(?![0-9]|-[0-9])/g;
+
+/**
+ * Identify the card brand from the IIN/BIN prefix and length
+ */
+export const identifyCardBrand = (digits) => {
+  const match = CARD_BRANDS.find(
+    ({ ranges, lengths }) =>
+      lengths.includes(digits.length) &&
+      ranges.some(([low, high = low]) => {
+        const prefix = Number(digits.substring(0, String(low).length));
+        return prefix >= low && prefix <= high;
+      })
+  );
+  return match ? match.brand : null;
+};
+
+/**
+ * Mask a PAN down to the first six and last four digits
+ */
+export const maskPan = (digits) =>
+  `${digits.substring(0, 6)}${'*'.repeat(digits.length - 10)}${digits.substring(
+    digits.length - 4
+  )}`;
+
+/**
+ * Check that a separated candidate uses one separator and a known grouping
+ */
+const hasCardGrouping = (candidate) => {
+  const separators = candidate.match(/[ -]/g);
+  if (!separators) return true;
+  if (new Set(separators).size > 1) return false;
+  const grouping = candidate
+    .split(/[ -]/)
+    .map((group) => group.length)
+    .join('-');
+  return CARD_GROUPINGS.includes(grouping);
+};
+
+/**
+ * Find Luhn-valid card numbers that belong to a known brand
+ */
+const detectPaymentCards = (content) => {
+  const results = [];
+  const regex = new RegExp(CANDIDATE_REGEX.source, 'g');
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    const candidate = match[2];
+    const digits = candidate.replace(/[ -]/g, '');
+    if (!hasCardGrouping(candidate) || !isValidLuhn(digits)) continue;
+
+    const brand = identifyCardBrand(digits);
+    if (!brand) continue;
+
+    results.push({
+      match: maskPan(digits),
+      index: match.index + match[1].length,
+      rawLength: candidate.length,
+      provider: brand,
+      keyType: `${digits.length}-digit PAN`,
+      bin: digits.substring(0, 6),
+      last4: digits.substring(digits.length - 4),
+      validated: true,
+    });
+  }
+  return results;
+};
+
+const paymentCardDetectors = [
+  {
+    id: 'payment-card',
+    type: 'CREDIT_CARD',
+    category: 'financial',
+    keyType: 'Primary Account Number',
+    severity: 'critical',
+    dataType: DATA_EXPOSURE_TYPES.FINANCIAL_DATA,
+    detect: detectPaymentCards,
+  },
+];
+
+export default paymentCardDetectors;
@@ -0,0 +1,284 @@
+/**
+ * PII Detectors
+ * National identifiers and personal data, grouped into locale packs
+ */
+
+import { DATA_EXPOSURE_TYPES } from '../../config/config';
+import { isValidIbanChecksum, isValidVerhoeff } from './checksums';
+
+// IBAN lengths by country code (ISO 13616 registry)
+const IBAN_LENGTHS = {
+  AD: 24,
+  AE: 23,
+  AT: 20,
+  AZ: 28,
+  BA: 20,
+  BE: 16,
+  BG: 22,
+  BH: 22,
+  BR: 29,
+  CH: 21,
+  CR: 22,
+  CY: 28,
+  CZ: 24,
+  DE: 22,
+  DK: 18,
+  DO: 28,
+  EE: 20,
+  EG: 29,
+  ES: 24,
+  FI: 18,
+  FO: 18,
+  FR: 27,
+  GB: 22,
+  GE: 22,
+  GI: 23,
+  GL: 18,
+  GR: 27,
+  GT: 28,
+  HR: 21,
+  HU: 28,
+  IE: 22,
+  IL: 23,
+  IQ: 23,
+  IS: 26,
+  IT: 27,
+  JO: 30,
+  KW: 30,
+  KZ: 20,
+  LB: 28,
+  LI: 21,
+  LT: 20,
+  LU: 20,
+  LV: 21,
+  MC: 27,
+  MD: 24,
+  ME: 22,
+  MK: 19,
+  MR: 27,
+  MT: 31,
+  MU: 30,
+  NL: 18,
+  NO: 15,
+  PK: 24,
+  PL: 28,
+  PS: 29,
+  PT: 25,
+  QA: 29,
+  RO: 24,
+  RS: 22,
+  SA: 24,
+  SE: 24,
+  SI: 19,
+  SK: 24,
+  SM: 27,
+  TN: 24,
+  TR: 26,
+  UA: 29,
+  VG: 24,
+  XK: 20,
+};
+
+// NINO prefixes that are never issued
+const INVALID_NINO_PREFIXES = ['BG', 'GB', 'KN', 'NK', 'NT', 'TN', 'ZZ'];
+
+const DOB_CONTEXT_REGEX = /\b(?:dob|d\.o\.b\.?|date of birth|birth ?date|birthday|born(?: on)?)\b/i;
+const NAME_CONTEXT_REGEX =
+  /\b(?:name|full name|first name|last name)\s*[:=]|\b[A-Z][a-z]+ [A-Z][a-z]+\b/;
+const AADHAAR_CONTEXT_REGEX = /\b(?:aadhaar|aadhar|uidai|uid)\b|आधार/i;
+const CONTEXT_WINDOW = 60;
+
+const MONTHS = 'jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec';
+const DATE_REGEX = new RegExp(
+  [
+    '\\b(?:19|20)\\d{2}[-/.](?:0?[1-9]|1[0-2])[-/.](?:0?[1-9]|[12]\\d|3[01])\\b',
+    '\\b(?:0?[1-9]|[12]\\d|3[01])[-/.](?:0?[1-9]|1[0-2])[-/.](?:19|20)\\d{2}\\b',
+    '\\b(?:0?[1-9]|1[0-2])[-/.](?:0?[1-9]|[12]\\d|3[01])[-/.](?:19|20)\\d{2}\\b',
+    `\\b(?:0?[1-9]|[12]\\d|3[01]) (?:${MONTHS})[a-z]* (?:19|20)\\d{2}\\b`,
+    `\\b(?:${MONTHS})[a-z]* (?:0?[1-9]|[12]\\d|3[01]),? (?:19|20)\\d{2}\\b`,
+  ].join('|'),
+  'gi'
+);
+
+/**
+ * SSNs never use area 000, 666 or 900-999, group 00 or serial 0000
+ */
+const isValidSsn = (ssn) => {
+  const [area, group, serial] = ssn.split('-');
+  const areaNumber = Number(area);
+  return (
+    areaNumber !== 0 &&
+    areaNumber !== 666 &&
+    areaNumber < 900 &&
+    group !== '00' &&
+    serial !== '0000' &&
+    ssn !== '078-05-1120' // Woolworth wallet card sample
+  );
+};
+
+/**
+ * Check an IBAN's country length and mod-97 checksum
+ */
+const isValidIban = (value) => {
+  const iban = value.replace(/\s+/g, '').toUpperCase();
+  const expectedLength = IBAN_LENGTHS[iban.substring(0, 2)];
+  return expectedLength === iban.length && isValidIbanChecksum(iban);
+};
+
+const isValidNino = (value) => {
+  const nino = value.replace(/\s+/g, '').toUpperCase();
+  return !INVALID_NINO_PREFIXES.includes(nino.substring(0, 2));
+};
+
+/**
+ * Find dates that read as birth dates: a DOB label or a person's name nearby
+ */
+const detectDatesOfBirth = (content) => {
+  const results = [];
+  const currentYear = new Date().getFullYear();
+  const regex = new RegExp(DATE_REGEX.source, 'gi');
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    const year = Number((match[0].match(/(?:19|20)\d{2}/) || [])[0]);
+    if (!year || year > currentYear - 10) continue;
+
+    const before = content.substring(Math.max(0, match.index - CONTEXT_WINDOW), match.index);
+    const after = content.substring(
+      match.index + match[0].length,
+      match.index + match[0].length + CONTEXT_WINDOW
+    );
+    const hasDobLabel = DOB_CONTEXT_REGEX.test(before);
+    const hasName = NAME_CONTEXT_REGEX.test(before) || NAME_CONTEXT_REGEX.test(after);
+    if (!hasDobLabel && !hasName) continue;
+
+    results.push({ match: match[0], index: match.index, validated: hasDobLabel && hasName });
+  }
+  return results;
+};
+
+/**
+ * Find Aadhaar numbers. About one in ten 12-digit runs passes Verhoeff, so runs joined to
+ * other characters (UUID segments, hex ids) are skipped and a number is only critical
+ * with an Aadhaar label nearby.
+ */
+const detectAadhaarNumbers = (content) => {
+  const results = [];
+  const regex = /(?:^|[^\w-])([2-9][0-9]{3} ?[0-9]{4} ?[0-9]{4})(?![\w-])/g;
+  let match;
+  while ((match = regex.exec(content)) !== null) {
+    const value = match[1];
+    if (!isValidVerhoeff(value.replace(/\s+/g, ''))) continue;
+
+    const index = match.index + match[0].length - value.length;
+    const nearby = content.substring(
+      Math.max(0, index - CONTEXT_WINDOW),
+      index + value.length + CONTEXT_WINDOW
+    );
+    const hasLabel = AADHAAR_CONTEXT_REGEX.test(nearby);
+    results.push({
+      match: value,
+      index,
+      validated: true,
+      severity: hasLabel ? 'critical' : 'medium',
+    });
+  }
+  return results;
+};
+
+const PERSONAL = DATA_EXPOSURE_TYPES.PERSONAL_IDENTIFIERS;
+
+export const PII_LOCALE_PACKS = {
+  GLOBAL: [
+    {
+      id: 'iban',
+      type: 'IBAN',
+      category: 'pii',
+      keyType: 'International Bank Account Number',
+      severity: 'high',
+      dataType: DATA_EXPOSURE_TYPES.FINANCIAL_DATA,
+      pattern: /\b([A-Z]{2}[0-9]{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?)\b/g,
+      validate: isValidIban,
+      discardInvalid: true,
+    },
+    {
+      id: 'e164-phone',
+      type: 'PHONE_NUMBER',
+      category: 'pii',
+      keyType: 'E.164 Phone Number',
+      severity: 'medium',
+      dataType: PERSONAL,
+      pattern: /(?:^|[^\w+])(\+[1-9][0-9]{7,14})(?![0-9])/g,
+    },
+    {
+      id: 'date-of-birth',
+      type: 'DATE_OF_BIRTH',
+      category: 'pii',
+      keyType: 'Date of Birth',
+      severity: 'medium',
+      dataType: PERSONAL,
+      detect: detectDatesOfBirth,
+    },
+  ],
+  US: [
+    {
+      id: 'us-ssn',
+      type: 'NATIONAL_ID',
+      category: 'pii',
+      provider: 'United States',
+      keyType: 'Social Security Number',
+      severity: 'critical',
+      dataType: PERSONAL,
+      pattern: /\b([0-9]{3}-[0-9]{2}-[0-9]{4})\b/g,
+      validate: isValidSsn,
+      discardInvalid: true,
+    },
+  ],
+  UK: [
+    {
+      id: 'uk-nino',
+      type: 'NATIONAL_ID',
+      category: 'pii',
+      provider: 'United Kingdom',
+      keyType: 'National Insurance Number',
+      severity: 'high',
+      dataType: PERSONAL,
+      pattern: /\b([A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?[0-9]{2} ?[0-9]{2} ?[0-9]{2} ?[A-D])\b/g,
+      validate: isValidNino,
+      discardInvalid: true,
+    },
+  ],
+  IN: [
+    {
+      id: 'in-aadhaar',
+      type: 'NATIONAL_ID',
+      category: 'pii',
+      provider: 'India',
+      keyType: 'Aadhaar Number',
+      severity: 'critical',
+      dataType: PERSONAL,
+      detect: detectAadhaarNumbers,
+    },
+    {
+      id: 'in-pan',
+      type: 'NATIONAL_ID',
+      category: 'pii',
+      provider: 'India',
+      keyType: 'Permanent Account Number',
+      severity: 'high',
+      dataType: PERSONAL,
+      pattern: /\b([A-Z]{3}[ABCFGHJLPT][A-Z][0-9]{4}[A-Z])\b/g,
+    },
+  ],
+};
+
+/**
+ * Get the PII detectors for the given locale packs
+ */
+export const getPiiDetectors = (locales = Object.keys(PII_LOCALE_PACKS)) =>
+  locales.flatMap((locale) => {
+    const pack = PII_LOCALE_PACKS[locale];
+    if (!pack) throw new Error(`Unknown PII locale pack: ${locale}`);
+    return pack;
+  });
+
+export default PII_LOCALE_PACKS;
@@ -0,0 +1,180 @@
+/**
+ * Rule Loader
+ * Validates declarative detection rules against RULE_SCHEMA, compiles them into
+ * detectors for the DetectorRegistry and runs each rule's embedded test cases
+ */
+
+import Ajv from 'ajv';
+import { RULE_SCHEMA } from './ruleSchema';
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+const validateRuleSchema = ajv.compile(RULE_SCHEMA);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Thrown when one or more rules are invalid; `errors` lists every problem found
+ */
+export class RuleValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid detection rules:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'RuleValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Turn an ajv error into a readable sentence
+ */
+const formatSchemaError = (error) => {
+  const path = error.instancePath.substring(1).replace(/\//g, '.') || 'rule';
+  switch (error.keyword) {
+    case 'required':
+      return `${path} is missing required property "${error.params.missingProperty}"`;
+    case 'additionalProperties':
+      return `${path} has unknown property "${error.params.additionalProperty}"`;
+    case 'enum':
+      return `${path} must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'oneOf':
+      return error.params.passingSchemas
+        ? 'rule must define "regex" or "keywords", not both'
+        : 'rule must define either "regex" or "keywords"';
+    default:
+      return `${path} ${error.message}`;
+  }
+};
+
+/**
+ * Build a case-insensitive whole-word regex for a list of words
+ */
+const wordsRegex = (words) => new RegExp(`\\b(?:${words.map(escapeRegExp).join('|')})\\b`, 'i');
+
+/**
+ * Compile a schema-valid rule into a detector
+ */
+export const compileRule = (rule) => {
+  const source = rule.regex
+    ? rule.regex.pattern
+    : `\\b(${rule.keywords.map(escapeRegExp).join('|')})\\b`;
+  const flags = rule.regex ? rule.regex.flags || '' : 'i';
+  const pattern = new RegExp(source, `${flags}g`);
+  const excludedValues = ((rule.exclusions && rule.exclusions.values) || []).map(
+    (value) => new RegExp(value, 'i')
+  );
+  const excludedContext =
+    rule.exclusions && rule.exclusions.contextWords && rule.exclusions.contextWords.length > 0
+      ? wordsRegex(rule.exclusions.contextWords)
+      : null;
+  const requiredContext = rule.context ? wordsRegex(rule.context.words) : null;
+  const window = rule.context ? rule.context.window : 50;
+
+  return {
+    id: rule.id,
+    type: rule.type,
+    category: rule.category,
+    provider: rule.provider || null,
+    keyType: rule.keyType || rule.description || null,
+    severity: rule.severity,
+    dataType: rule.dataType || null,
+    detect: (content) => {
+      const results = [];
+      const regex = new RegExp(pattern.source, pattern.flags);
+      let match;
+      while ((match = regex.exec(content)) !== null) {
+        if (match[0].length === 0) {
+          regex.lastIndex += 1;
+          continue;
+        }
+        const value = match[1] !== undefined ? match[1] : match[0];
+        const index = match.index + match[0].indexOf(value);
+        const surrounding = content.substring(
+          Math.max(0, index - window),
+          index + value.length + window
+        );
+
+        if (excludedValues.some((exclusion) => exclusion.test(value))) continue;
+        if (excludedContext && excludedContext.test(surrounding)) continue;
+        if (requiredContext && !requiredContext.test(surrounding)) continue;
+
+        results.push({ match: value, index, validated: Boolean(requiredContext) });
+      }
+      return results;
+    },
+  };
+};
+
+/**
+ * Run a rule's embedded test cases against its compiled detector
+ */
+const runRuleTests = (rule, detector) => {
+  const { match = [], noMatch = [] } = rule.tests || {};
+  return [
+    ...match
+      .filter((input) => detector.detect(input).length === 0)
+      .map((input) => `test case ${JSON.stringify(input)} should match but did not`),
+    ...noMatch
+      .filter((input) => detector.detect(input).length > 0)
+      .map((input) => `test case ${JSON.stringify(input)} should not match but did`),
+  ];
+};
+
+/**
+ * Validate, compile and self-test a list of rules (an array or a JSON string).
+ * Returns the detectors, or throws a RuleValidationError listing every problem.
+ */
+export const loadRules = (source) => {
+  let rules = source;
+  if (typeof source === 'string') {
+    try {
+      rules = JSON.parse(source);
+    } catch (error) {
+      throw new RuleValidationError([`rules are not valid JSON: ${error.message}`]);
+    }
+  }
+  if (!Array.isArray(rules)) {
+    throw new RuleValidationError(['rules must be an array of rule objects']);
+  }
+
+  const errors = [];
+  const seenIds = new Set();
+  const detectors = [];
+
+  rules.forEach((original, position) => {
+    // ajv fills in defaults, so validate a copy
+    const rule = JSON.parse(JSON.stringify(original));
+    const label = rule && rule.id ? `rule "${rule.id}"` : `rule #${position + 1}`;
+    const report = (message) => errors.push(`${label}: ${message}`);
+
+    if (!validateRuleSchema(rule)) {
+      validateRuleSchema.errors
+        .filter((error) => !error.schemaPath.startsWith('#/oneOf/'))
+        .forEach((error) => report(formatSchemaError(error)));
+      return;
+    }
+    if (seenIds.has(rule.id)) {
+      report('duplicate rule id');
+      return;
+    }
+    seenIds.add(rule.id);
+
+    let detector;
+    try {
+      detector = compileRule(rule);
+    } catch (error) {
+      report(`contains an invalid regular expression: ${error.message}`);
+      return;
+    }
+
+    const failures = runRuleTests(rule, detector);
+    if (failures.length > 0) {
+      failures.forEach(report);
+      return;
+    }
+    detectors.push(detector);
+  });
+
+  if (errors.length > 0) throw new RuleValidationError(errors);
+  return detectors;
+};
+
+export default loadRules;
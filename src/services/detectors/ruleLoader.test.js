@@ -0,0 +1,106 @@
+import bundledRules from '../../../public/rules/detection-rules.json';
+import { compileRule, loadRules, RuleValidationError } from './ruleLoader';
+
+const EMPLOYEE_RULE = {
+  id: 'acme-employee-id',
+  type: 'EMPLOYEE_ID',
+  severity: 'high',
+  regex: { pattern: '\\b(EMP-[0-9]{6})\\b', flags: 'i' },
+  context: { words: ['employee', 'badge'], window: 30 },
+  exclusions: { values: ['^EMP-0{6}$'], contextWords: ['example'] },
+  tests: {
+    match: ['employee badge EMP-123456 attached'],
+    noMatch: ['order EMP-123456 shipped', 'employee EMP-000000', 'example employee EMP-123456'],
+  },
+};
+
+const KEYWORD_RULE = {
+  id: 'acme-restricted',
+  type: 'CLASSIFIED_DOCUMENT',
+  severity: 'critical',
+  keywords: ['ACME RESTRICTED'],
+  tests: { match: ['header: acme restricted'], noMatch: ['acme restrictedness'] },
+};
+
+// The errors loadRules throws for `rules`
+const errorsOf = (rules) => {
+  try {
+    loadRules(rules);
+  } catch (error) {
+    expect(error).toBeInstanceOf(RuleValidationError);
+    return error.errors;
+  }
+  throw new Error('rules loaded without errors');
+};
+
+describe('compileRule', () => {
+  const detector = compileRule({ ...EMPLOYEE_RULE, category: 'pii' });
+
+  it('reports the capture group with its offset', () => {
+    expect(detector.detect('employee EMP-123456')).toEqual([
+      { match: 'EMP-123456', index: 9, validated: true },
+    ]);
+  });
+
+  it('needs a context word within the window', () => {
+    expect(detector.detect(`employee ${' '.repeat(40)} EMP-123456`)).toEqual([]);
+  });
+
+  it('drops excluded values and matches near excluded words', () => {
+    expect(detector.detect('employee EMP-000000')).toEqual([]);
+    expect(detector.detect('example employee EMP-123456')).toEqual([]);
+  });
+
+  it('matches keywords as whole words, ignoring case', () => {
+    const keywords = compileRule(KEYWORD_RULE);
+    expect(keywords.detect('Acme Restricted, do not forward')).toHaveLength(1);
+    expect(keywords.detect('ACME RESTRICTEDNESS')).toEqual([]);
+  });
+});
+
+describe('loadRules', () => {
+  it('returns a detector per rule, with schema defaults', () => {
+    const detectors = loadRules(JSON.stringify([EMPLOYEE_RULE, KEYWORD_RULE]));
+    expect(detectors.map((detector) => [detector.id, detector.category])).toEqual([
+      ['acme-employee-id', 'organization'],
+      ['acme-restricted', 'organization'],
+    ]);
+  });
+
+  it('reports embedded test cases that fail', () => {
+    const rule = {
+      ...KEYWORD_RULE,
+      tests: { match: ['nothing here'], noMatch: ['ACME RESTRICTED memo'] },
+    };
+    expect(errorsOf([rule])).toEqual([
+      'rule "acme-restricted": test case "nothing here" should match but did not',
+      'rule "acme-restricted": test case "ACME RESTRICTED memo" should not match but did',
+    ]);
+  });
+
+  it('reports every invalid rule at once', () => {
+    expect(
+      errorsOf([
+        { ...KEYWORD_RULE, severity: 'urgent' },
+        { id: 'no-pattern', type: 'X', severity: 'low' },
+        { id: 'bad-regex', type: 'X', severity: 'low', regex: { pattern: '(' } },
+        KEYWORD_RULE,
+        KEYWORD_RULE,
+      ])
+    ).toEqual([
+      'rule "acme-restricted": severity must be one of: critical, high, medium, low',
+      'rule "no-pattern": rule must define either "regex" or "keywords"',
+      expect.stringMatching(/^rule "bad-regex": contains an invalid regular expression/),
+      'rule "acme-restricted": duplicate rule id',
+    ]);
+  });
+
+  it('rejects sources that are not an array of rules', () => {
+    expect(errorsOf('{')[0]).toMatch(/^rules are not valid JSON/);
+    expect(errorsOf({})).toEqual(['rules must be an array of rule objects']);
+  });
+
+  it('loads the bundled rules', () => {
+    expect(loadRules(bundledRules)).toHaveLength(bundledRules.length);
+  });
+});
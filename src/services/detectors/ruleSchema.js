@@ -0,0 +1,86 @@
+/**
+ * Detection Rule Schema
+ * JSON Schema for declarative detection rules loaded at runtime (see ruleLoader)
+ *
+ * Example rule:
+ *   {
+ *     "id": "acme-employee-id",
+ *     "type": "EMPLOYEE_ID",
+ *     "severity": "high",
+ *     "dataType": "Employee Information",
+ *     "regex": { "pattern": "\\b(EMP-[0-9]{6})\\b", "flags": "i" },
+ *     "context": { "words": ["employee", "badge"], "window": 60 },
+ *     "exclusions": { "values": ["^EMP-000000$"], "contextWords": ["example"] },
+ *     "tests": { "match": ["employee EMP-123456"], "noMatch": ["EMP-123456"] }
+ *   }
+ */
+
+import { DATA_EXPOSURE_TYPES } from '../../config/config';
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+export const RULE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'type', 'severity'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+    description: { type: 'string' },
+    type: { type: 'string', pattern: '^[A-Z][A-Z0-9_]*$' },
+    category: {
+      enum: ['secret', 'network', 'financial', 'database', 'pii', 'organization'],
+      default: 'organization',
+    },
+    provider: { type: 'string' },
+    keyType: { type: 'string' },
+    severity: { enum: ['critical', 'high', 'medium', 'low'] },
+    dataType: { enum: Object.values(DATA_EXPOSURE_TYPES) },
+    regex: {
+      type: 'object',
+      required: ['pattern'],
+      additionalProperties: false,
+      properties: {
+        pattern: { type: 'string', minLength: 1 },
+        flags: { type: 'string', pattern: '^[imsu]*$' },
+      },
+    },
+    keywords: { ...stringList, minItems: 1 },
+    // At least one of these words must appear within `window` characters of the match
+    context: {
+      type: 'object',
+      required: ['words'],
+      additionalProperties: false,
+      properties: {
+        words: { ...stringList, minItems: 1 },
+        window: { type: 'integer', minimum: 1, default: 50 },
+      },
+    },
+    // Matches whose value matches one of `values` (regexes), or with one of
+    // `contextWords` nearby, are dropped
+    exclusions: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        values: stringList,
+        contextWords: stringList,
+      },
+    },
+    // Inputs the rule must and must not match, run when the rule is loaded
+    tests: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        match: stringList,
+        noMatch: stringList,
+      },
+    },
+  },
+  oneOf: [{ required: ['regex'] }, { required: ['keywords'] }],
+};
+
+export const RULE_SET_SCHEMA = {
+  type: 'array',
+  items: RULE_SCHEMA,
+};
+
+export default RULE_SCHEMA;
@@ -0,0 +1,235 @@
+/**
+ * Secret Detectors
+ * Provider-specific credential formats with checksum or structural validation
+ */
+
+import { hasValidCrc32Suffix, decodeBase64Url } from './checksums';
+
+// How far apart (in characters) an AWS key id and its secret may be to count as a pair
+const AWS_PAIR_DISTANCE = 300;
+
+const AWS_KEY_ID_REGEX = /\b((?:AKIA|ASIA|ABIA|ACCA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z2-7]{16})\b/g;
+const AWS_SECRET_REGEX = /(?:^|[^A-Za-z0-9/+])([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+=])/g;
+const AWS_SECRET_CONTEXT_REGEX = /aws.{0,20}secret|secret.{0,20}access.{0,20}key/i;
+
+/**
+ * Check that a JWT has a JSON header with an `alg` and a JSON payload
+ */
+const isValidJwt = (token) => {
+  const [header, payload] = token.split('.');
+  try {
+    const decodedHeader = JSON.parse(decodeBase64Url(header));
+    JSON.parse(decodeBase64Url(payload));
+    return Boolean(decodedHeader && decodedHeader.alg);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check that a PEM block has a matching footer and a base64 body
+ */
+const isValidPem = (block) => {
+  const body = block
+    .replace(/-----(BEGIN|END)[A-Z ]*PRIVATE KEY-----/g, '')
+    .replace(/^[A-Za-z-]+:.*$/gm, '') // Encrypted key headers (Proc-Type, DEK-Info)
+    .replace(/\s+/g, '');
+  return body.length >= 64 && /^[A-Za-z0-9+/]+=*$/.test(body);
+};
+
+/**
+ * Find AWS access key ids and pair each one with a nearby secret access key.
+ * A key id is `validated` once a secret is found alongside it.
+ */
+const detectAwsCredentials = (content) => {
+  const results = [];
+  const keyIds = [];
+  let match;
+
+  const keyIdRegex = new RegExp(AWS_KEY_ID_REGEX.source, 'g');
+  while ((match = keyIdRegex.exec(content)) !== null) {
+    keyIds.push({ value: match[1], index: match.index });
+  }
+
+  const secrets = [];
+  const secretRegex = new RegExp(AWS_SECRET_REGEX.source, 'g');
+  while ((match = secretRegex.exec(content)) !== null) {
+    const value = match[1];
+    const index = match.index + match[0].indexOf(value);
+    // Mixed case plus digits keeps out long words and hex digests
+    if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/[0-9]/.test(value)) continue;
+    const preceding = content.substring(Math.max(0, index - 60), index);
+    const nearKeyId = keyIds.some((key) => Math.abs(key.index - index) <= AWS_PAIR_DISTANCE);
+    if (nearKeyId || AWS_SECRET_CONTEXT_REGEX.test(preceding)) {
+      secrets.push({ value, index });
+    }
+  }
+
+  keyIds.forEach((key) => {
+    const paired = secrets.find(
+      (secret) => Math.abs(secret.index - key.index) <= AWS_PAIR_DISTANCE
+    );
+    results.push({
+      match: key.value,
+      index: key.index,
+      keyType: 'Access Key ID',
+      validated: Boolean(paired),
+      pairedWith: paired ? paired.index : null,
+    });
+  });
+
+  secrets.forEach((secret) => {
+    const paired = keyIds.find((key) => Math.abs(secret.index - key.index) <= AWS_PAIR_DISTANCE);
+    results.push({
+      match: secret.value,
+      index: secret.index,
+      keyType: 'Secret Access Key',
+      validated: Boolean(paired),
+      pairedWith: paired ? paired.index : null,
+    });
+  });
+
+  return results;
+};
+
+const secretDetectors = [
+  {
+    id: 'aws-credentials',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'AWS',
+    keyType: 'Access Key',
+    severity: 'critical',
+    detect: detectAwsCredentials,
+  },
+  {
+    id: 'github-token',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'GitHub',
+    keyType: 'Personal Access Token',
+    severity: 'critical',
+    pattern: /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36})\b/g,
+    validate: hasValidCrc32Suffix,
+    discardInvalid: true,
+  },
+  {
+    id: 'github-fine-grained-pat',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'GitHub',
+    keyType: 'Fine-grained Personal Access Token',
+    severity: 'critical',
+    pattern: /\b(github_pat_[A-Za-z0-9]{22}_[A-Za-z0-9]{59})\b/g,
+  },
+  {
+    id: 'npm-token',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'npm',
+    keyType: 'Access Token',
+    severity: 'critical',
+    pattern: /\b(npm_[A-Za-z0-9]{36})\b/g,
+    validate: hasValidCrc32Suffix,
+    discardInvalid: true,
+  },
+  {
+    id: 'slack-token',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'Slack',
+    keyType: 'API Token',
+    severity: 'critical',
+    pattern: /\b(xox[abposr]-(?:[0-9]+-)+[A-Za-z0-9-]{10,})\b/g,
+    validate: (token) => /^xox[abposr]-[0-9]{8,}-/.test(token),
+  },
+  {
+    id: 'slack-webhook',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'Slack',
+    keyType: 'Incoming Webhook',
+    severity: 'high',
+    pattern:
+      /(https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]{8,}\/B[A-Z0-9]{8,}\/[A-Za-z0-9]{24})/g,
+  },
+  {
+    id: 'stripe-secret-key',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'Stripe',
+    keyType: 'Secret Key',
+    severity: 'critical',
+    pattern: /\b((?:sk|rk)_live_[A-Za-z0-9]{24,99})\b/g,
+  },
+  {
+    id: 'stripe-test-key',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'Stripe',
+    keyType: 'Test Secret Key',
+    severity: 'medium',
+    pattern: /\b((?:sk|rk)_test_[A-Za-z0-9]{24,99})\b/g,
+  },
+  {
+    id: 'google-api-key',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'Google',
+    keyType: 'API Key',
+    severity: 'high',
+    pattern: /\b(AIza[0-9A-Za-z_-]{35})(?![0-9A-Za-z_-])/g,
+  },
+  {
+    id: 'sendgrid-api-key',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'SendGrid',
+    keyType: 'API Key',
+    severity: 'high',
+    pattern: /\b(SG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43})(?![A-Za-z0-9_-])/g,
+  },
+  {
+    id: 'twilio-api-key',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: 'Twilio',
+    keyType: 'API Key SID',
+    severity: 'high',
+    pattern: /\b(SK[0-9a-f]{32})\b/g,
+  },
+  {
+    id: 'jwt',
+    type: 'ACCESS_TOKEN',
+    category: 'secret',
+    provider: null,
+    keyType: 'JSON Web Token',
+    severity: 'high',
+    pattern: /\b(eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})(?![A-Za-z0-9_-])/g,
+    validate: isValidJwt,
+  },
+  {
+    id: 'pem-private-key',
+    type: 'PRIVATE_KEY',
+    category: 'secret',
+    provider: null,
+    keyType: 'PEM Private Key',
+    severity: 'critical',
+    pattern:
+      /(-----BEGIN ((?:RSA |EC |DSA |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY)-----[\s\S]*?-----END \2-----)/g,
+    validate: isValidPem,
+  },
+  {
+    id: 'generic-secret-assignment',
+    type: 'API_KEY',
+    category: 'secret',
+    provider: null,
+    keyType: 'Generic Secret',
+    severity: 'high',
+    fallback: true,
+    pattern:
+      /(?:api[_-]?key|secret|token|passwd|password)["']?\s*[:=]\s*["']?([A-Za-z0-9/+_.~-]{16,})["']?/gi,
+  },
+];
+
+export default secretDetectors;
@@ -0,0 +1,117 @@
+/**
+ * Intent Classifier
+ * Local rule-based classification of why a keyword or finding shows up in a post,
+ * based on the words around it: negation, advice, questions, news, offers and disclosure
+ */
+
+// Words considered on each side of a hit, within its sentence
+const WINDOW_WORDS = 6;
+
+// Cues saying outright that the post shares something
+const EXPLICIT_DISCLOSURE =
+  /\b(?:here[’']s|here is|here are|attached|pastebin|use this|log ?in with|leaked|got access)\b/i;
+
+export const INTENT_RULES = {
+  offer: [
+    /\b(?:for sale|selling|sell(?:ing)?|buy(?:ing)?|price|escrow|dm me|pm me|telegram|fresh|full access|combo ?list|dump|btc|bitcoin|xmr|monero)\b/i,
+    /\$\s?\d+/,
+  ],
+  news: [
+    /\b(?:reported|reports|according to|announced|disclosed|researchers?|journalists?|article|news|press release|cve-\d{4}-\d+|breach at|confirmed)\b/i,
+  ],
+  advice: [
+    /\b(?:never|don't|do not|dont) (?:share|post|reuse|commit|send|store|give)\b/i,
+    /\b(?:always|you should|remember to) (?:use|enable|rotate|revoke|change|check|store|keep)\b/i,
+    /\b(?:best practices? for|security (?:tips?|awareness)|how to (?:protect|secure|store|rotate)|enable (?:2fa|mfa)|keep (?:it|them|your \w+) safe|protect your)\b/i,
+  ],
+  question: [
+    /\?\s*$/,
+    /^\s*(?:how|what|why|where|when|which|who|is|are|does|do|can|could|should)\b/i,
+  ],
+  negation: [
+    /\b(?:not|no|never|none|nobody|nothing|without|don't|doesn't|didn't|isn't|wasn't|won't|can't|cannot|shouldn't|fake|example|dummy|placeholder)\b/i,
+  ],
+  disclosure: [EXPLICIT_DISCLOSURE, /\b(?:below|check out|creds|exposed|found)\b/i, /:\s*$/],
+};
+
+// When several intents match, the first one in this list wins
+export const INTENT_PRIORITY = ['offer', 'advice', 'news', 'question', 'negation', 'disclosure'];
+
+// Explicit disclosure cues anywhere in the sentence win over these intents, so adding
+// "make sure you rotate it" or "not" to a leak does not make it look harmless
+export const DISCLOSURE_OVERRIDES = ['advice', 'negation'];
+
+/**
+ * Find the sentence around an offset
+ */
+const getSentence = (content, index, length) => {
+  const before = content.substring(0, index);
+  const sentenceStart = Math.max(
+    before.lastIndexOf('.') + 1,
+    before.lastIndexOf('!') + 1,
+    before.lastIndexOf('?') + 1,
+    before.lastIndexOf('\n') + 1
+  );
+  const rest = content.substring(index + length);
+  const endMatch = rest.match(/[.!?\n]/);
+  const sentenceEnd = endMatch ? index + length + endMatch.index + 1 : content.length;
+  return {
+    before: content.substring(sentenceStart, index),
+    after: content.substring(index + length, sentenceEnd),
+    sentence: content.substring(sentenceStart, sentenceEnd),
+  };
+};
+
+class IntentClassifier {
+  constructor(rules = INTENT_RULES, priority = INTENT_PRIORITY) {
+    this.rules = rules;
+    this.priority = priority;
+  }
+
+  /**
+   * Classify the intent of a single hit at `index` (with `length`) in the content
+   */
+  classify(content, index, length = 0) {
+    const { before, after, sentence } = getSentence(content, index, length);
+    const wordsBefore = before.split(/\s+/).filter(Boolean).slice(-WINDOW_WORDS).join(' ');
+    const wordsAfter = after.split(/\s+/).filter(Boolean).slice(0, WINDOW_WORDS).join(' ');
+    const context = `${wordsBefore} ${content.substring(index, index + length)} ${wordsAfter}`;
+
+    // Negation only counts before the hit; questions and disclosure cues use the whole sentence
+    const scopes = { negation: wordsBefore, question: sentence, disclosure: sentence };
+
+    const cues = [];
+    this.priority.forEach((intent) => {
+      const text = scopes[intent] !== undefined ? scopes[intent] : context;
+      (this.rules[intent] || []).forEach((rule) => {
+        const match = text.match(rule);
+        if (match) cues.push({ intent, cue: match[0].trim() });
+      });
+    });
+
+    const intent = this.priority.find((label) => cues.some((cue) => cue.intent === label));
+    if (DISCLOSURE_OVERRIDES.includes(intent) && EXPLICIT_DISCLOSURE.test(sentence)) {
+      return { intent: 'disclosure', cues };
+    }
+    return { intent: intent || 'neutral', cues };
+  }
+
+  /**
+   * Pick the intent of a whole post from the intents of its hits
+   */
+  classifyPost(intents) {
+    if (intents.length === 0) return 'neutral';
+    if (intents.includes('offer')) return 'offer';
+
+    const counts = intents.reduce((acc, intent) => {
+      acc[intent] = (acc[intent] || 0) + 1;
+      return acc;
+    }, {});
+    const order = [...this.priority, 'neutral'];
+    return Object.keys(counts).sort(
+      (a, b) => counts[b] - counts[a] || order.indexOf(a) - order.indexOf(b)
+    )[0];
+  }
+}
+
+export default IntentClassifier;
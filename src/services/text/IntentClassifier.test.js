@@ -0,0 +1,41 @@
+import IntentClassifier from './IntentClassifier';
+
+const classifier = new IntentClassifier();
+
+// Intent of the first occurrence of `hit` in `content`
+const intentOf = (content, hit) =>
+  classifier.classify(content, content.indexOf(hit), hit.length).intent;
+
+const LEAK = "here's the prod admin password and api key for the internal database";
+
+describe('IntentClassifier', () => {
+  it('classifies an explicit disclosure', () => {
+    expect(intentOf(LEAK, 'password')).toBe('disclosure');
+  });
+
+  it('keeps a disclosure when advice is appended to it', () => {
+    expect(intentOf(`${LEAK}, make sure you rotate it`, 'password')).toBe('disclosure');
+    expect(intentOf(`${LEAK}, you should rotate it`, 'api key')).toBe('disclosure');
+  });
+
+  it('keeps a disclosure when a negation precedes the hit', () => {
+    expect(intentOf('leaked, not a test: the admin password is hunter2', 'password')).toBe(
+      'disclosure'
+    );
+    expect(intentOf('attached is not a drill, the prod database', 'database')).toBe('disclosure');
+  });
+
+  it('classifies advice without a disclosure cue', () => {
+    expect(intentOf('never share your password with anyone', 'password')).toBe('advice');
+    expect(intentOf('you should rotate your api key every month', 'api key')).toBe('advice');
+  });
+
+  it('does not take broad words for advice', () => {
+    expect(intentOf('always the same password on every server lol', 'password')).not.toBe('advice');
+    expect(intentOf('learn the database layout from this file', 'database')).not.toBe('advice');
+  });
+
+  it('classifies a negation without a disclosure cue', () => {
+    expect(intentOf('this is not the real password', 'password')).toBe('negation');
+  });
+});
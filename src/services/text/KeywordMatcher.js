@@ -0,0 +1,143 @@
+/**
+ * Keyword Matcher
+ * Aho-Corasick multi-pattern matcher over normalized text. Built once from the
+ * keyword lists, then finds every keyword in a post with a single pass.
+ * Keywords are plain strings, so regex metacharacters ("c++", "api.key") are literal.
+ */
+
+import { normalizeText, normalizeKeyword, toOriginalSpan, isWordCharacter } from './normalization';
+
+/**
+ * Create an empty trie node
+ */
+const createNode = () => ({ next: new Map(), fail: null, outputs: [] });
+
+class KeywordMatcher {
+  /**
+   * @param {Array<string|Object>} entries - keywords, or
+   *   { keyword, category, wholeWord, wordStart, translation }; `wordStart` keywords (stems)
+   *   must start a word but may end inside one
+   * @param {Object} options - { wholeWord: default word-boundary mode for string entries }
+   */
+  constructor(entries = [], options = {}) {
+    this.defaultWholeWord = Boolean(options.wholeWord);
+    this.patterns = [];
+    // Patterns by normalized keyword, to merge duplicates without scanning the list
+    this.patternsByKeyword = new Map();
+    this.root = createNode();
+    entries.forEach((entry) => this.addPattern(entry));
+    this.buildFailureLinks();
+  }
+
+  /**
+   * Add a keyword to the trie, merging categories of keywords that normalize the same
+   */
+  addPattern(entry) {
+    const {
+      keyword,
+      category = null,
+      wholeWord = this.defaultWholeWord,
+      wordStart = false,
+      translation = null,
+    } = typeof entry === 'string' ? { keyword: entry } : entry;
+    const normalized = normalizeKeyword(keyword);
+    if (!normalized) return;
+
+    const existing = this.patternsByKeyword.get(normalized);
+    if (existing) {
+      if (category && !existing.categories.includes(category)) existing.categories.push(category);
+      existing.wholeWord = existing.wholeWord && wholeWord;
+      existing.wordStart = existing.wordStart && (wholeWord || wordStart);
+      return;
+    }
+
+    const pattern = {
+      id: this.patterns.length,
+      keyword,
+      normalized,
+      categories: category ? [category] : [],
+      wholeWord,
+      wordStart: wholeWord || wordStart,
+      translation,
+    };
+    this.patterns.push(pattern);
+    this.patternsByKeyword.set(normalized, pattern);
+
+    let node = this.root;
+    Array.from(normalized).forEach((character) => {
+      if (!node.next.has(character)) node.next.set(character, createNode());
+      node = node.next.get(character);
+    });
+    node.outputs.push(pattern);
+  }
+
+  /**
+   * Breadth-first pass linking each node to its longest proper suffix in the trie
+   */
+  buildFailureLinks() {
+    const queue = [];
+    this.root.fail = this.root;
+    this.root.next.forEach((child) => {
+      child.fail = this.root;
+      queue.push(child);
+    });
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      node.next.forEach((child, character) => {
+        let fail = node.fail;
+        while (fail !== this.root && !fail.next.has(character)) fail = fail.fail;
+        child.fail =
+          fail.next.has(character) && fail.next.get(character) !== child
+            ? fail.next.get(character)
+            : this.root;
+        child.outputs = [...child.outputs, ...child.fail.outputs];
+        queue.push(child);
+      });
+    }
+  }
+
+  /**
+   * Find all keyword occurrences in the text with their original offsets
+   */
+  search(text) {
+    const normalized = normalizeText(text);
+    const characters = Array.from(normalized.text);
+    const results = [];
+    let node = this.root;
+
+    // Normalized text is indexed per UTF-16 unit, so track the unit offset as we go
+    let position = 0;
+    characters.forEach((character) => {
+      while (node !== this.root && !node.next.has(character)) node = node.fail;
+      node = node.next.get(character) || this.root;
+      position += character.length;
+
+      node.outputs.forEach((pattern) => {
+        const start = position - pattern.normalized.length;
+        const span = toOriginalSpan(text, normalized, start, pattern.normalized.length);
+        if (!span) return;
+        if (pattern.wordStart && isWordCharacter(text[span.index - 1])) return;
+        if (pattern.wholeWord && isWordCharacter(text[span.index + span.length])) return;
+        results.push({
+          keyword: pattern.keyword,
+          normalizedKeyword: pattern.normalized,
+          categories: pattern.categories,
+          translation: pattern.translation,
+          ...span,
+        });
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * List the compiled keywords
+   */
+  getPatterns() {
+    return this.patterns;
+  }
+}
+
+export default KeywordMatcher;
@@ -0,0 +1,47 @@
+import KeywordMatcher from './KeywordMatcher';
+import { normalizeKeyword } from './normalization';
+
+const keywords = (matcher, text) => matcher.search(text).map((result) => result.keyword);
+
+describe('KeywordMatcher', () => {
+  it('finds overlapping keywords in one pass with their original offsets', () => {
+    const matcher = new KeywordMatcher(['api key', 'key', 'c++']);
+    const results = matcher.search('Leaked API  KEY for the c++ build');
+    expect(results.map((result) => [result.keyword, result.index])).toEqual([
+      ['api key', 7],
+      ['key', 12],
+      ['c++', 24],
+    ]);
+    expect(results[0].length).toBe(8);
+  });
+
+  it('merges keywords that normalize the same', () => {
+    const matcher = new KeywordMatcher([
+      { keyword: 'Password', category: 'credentials' },
+      { keyword: 'password', category: 'security', wholeWord: true },
+    ]);
+    expect(matcher.getPatterns()).toHaveLength(1);
+    expect(matcher.getPatterns()[0].categories).toEqual(['credentials', 'security']);
+    // Either entry allows partial matches, so the merged one does
+    expect(keywords(matcher, 'passwords')).toEqual(['Password']);
+  });
+
+  it('respects word boundaries for whole words and stems', () => {
+    const matcher = new KeywordMatcher([
+      { keyword: 'leak', wholeWord: true },
+      { keyword: 'секрет', wordStart: true },
+    ]);
+    expect(keywords(matcher, 'a leak, not leaked')).toEqual(['leak']);
+    expect(keywords(matcher, 'секретные данные')).toEqual(['секрет']);
+    expect(keywords(matcher, 'рассекретить')).toEqual([]);
+  });
+
+  it('builds a large keyword list', () => {
+    const entries = Array.from({ length: 5000 }, (_, i) => `term${i}`);
+    const matcher = new KeywordMatcher([...entries, ...entries]);
+    expect(matcher.getPatterns()).toHaveLength(new Set(entries.map(normalizeKeyword)).size);
+    expect(
+      matcher.search('found term4999 here').map((result) => result.normalizedKeyword)
+    ).toContain(normalizeKeyword('term4999'));
+  });
+});
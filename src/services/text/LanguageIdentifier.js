@@ -0,0 +1,270 @@
+/**
+ * Language Identifier
+ * Offline language identification: the writing system first (Cyrillic, Arabic, CJK, ...),
+ * then common function words and accented letters to tell Latin-script languages apart
+ */
+
+export const UNDETERMINED = 'und';
+
+// Letters per script; the script with the most letters decides the candidates
+const SCRIPTS = [
+  { script: 'cyrillic', regex: /[\u0400-\u04FF]/g },
+  { script: 'greek', regex: /[\u0370-\u03FF]/g, language: 'el' },
+  { script: 'arabic', regex: /[\u0600-\u06FF]/g, language: 'ar' },
+  { script: 'hebrew', regex: /[\u0590-\u05FF]/g, language: 'he' },
+  { script: 'hangul', regex: /[\uAC00-\uD7AF]/g, language: 'ko' },
+  { script: 'kana', regex: /[\u3040-\u30FF]/g, language: 'ja' },
+  { script: 'han', regex: /[\u4E00-\u9FFF]/g, language: 'zh' },
+  { script: 'latin', regex: /[A-Za-z\u00C0-\u024F]/g },
+];
+
+// Frequent function words of each Latin-script language
+export const STOPWORDS = {
+  en: [
+    'the',
+    'and',
+    'is',
+    'are',
+    'was',
+    'of',
+    'to',
+    'in',
+    'for',
+    'with',
+    'this',
+    'that',
+    'have',
+    'from',
+    'you',
+    'it',
+    'not',
+    'on',
+    'at',
+    'be',
+    'our',
+    'my',
+    'we',
+    'they',
+    'just',
+    'here',
+  ],
+  es: [
+    'el',
+    'la',
+    'los',
+    'las',
+    'de',
+    'que',
+    'y',
+    'en',
+    'un',
+    'una',
+    'es',
+    'por',
+    'con',
+    'para',
+    'del',
+    'se',
+    'no',
+    'su',
+    'al',
+    'lo',
+    'como',
+    'pero',
+    'más',
+    'está',
+    'hay',
+    'muy',
+    'aquí',
+    'tengo',
+  ],
+  pt: [
+    'o',
+    'a',
+    'os',
+    'as',
+    'de',
+    'que',
+    'e',
+    'em',
+    'um',
+    'uma',
+    'é',
+    'do',
+    'da',
+    'dos',
+    'das',
+    'para',
+    'com',
+    'não',
+    'no',
+    'na',
+    'por',
+    'mais',
+    'se',
+    'está',
+    'são',
+    'você',
+    'aqui',
+    'tenho',
+  ],
+  fr: [
+    'le',
+    'la',
+    'les',
+    'de',
+    'des',
+    'et',
+    'est',
+    'un',
+    'une',
+    'du',
+    'en',
+    'que',
+    'pour',
+    'dans',
+    'pas',
+    'sur',
+    'avec',
+    'ce',
+    'il',
+    'vous',
+    'je',
+    'sont',
+    'nous',
+    'voici',
+  ],
+  de: [
+    'der',
+    'die',
+    'das',
+    'und',
+    'ist',
+    'nicht',
+    'mit',
+    'ein',
+    'eine',
+    'zu',
+    'den',
+    'von',
+    'auf',
+    'für',
+    'sich',
+    'dem',
+    'auch',
+    'es',
+    'ich',
+    'wir',
+    'sind',
+    'hier',
+  ],
+  it: [
+    'il',
+    'la',
+    'di',
+    'che',
+    'e',
+    'è',
+    'un',
+    'una',
+    'per',
+    'non',
+    'con',
+    'del',
+    'della',
+    'sono',
+    'gli',
+    'le',
+    'in',
+    'ho',
+    'anche',
+    'questo',
+    'ecco',
+  ],
+};
+
+// Letters that only (or mostly) appear in one language
+const LETTER_HINTS = {
+  es: /[ñ¿¡]/g,
+  pt: /[ãõ]|ç[ãõ]/g,
+  fr: /[èùœ]|ç[aou]/g,
+  de: /[äöüß]/g,
+  it: /[òì]/g,
+};
+
+// Cyrillic letters that separate Ukrainian from Russian
+const UKRAINIAN_LETTERS = /[іїєґ]/gi;
+const RUSSIAN_LETTERS = /[ыэъё]/gi;
+
+const MIN_LATIN_WORDS = 3;
+
+const count = (text, regex) => (text.match(regex) || []).length;
+const hintCount = (text, language) =>
+  LETTER_HINTS[language] ? count(text, LETTER_HINTS[language]) : 0;
+
+class LanguageIdentifier {
+  constructor(options = {}) {
+    this.stopwords = Object.entries(options.stopwords || STOPWORDS).map(([language, words]) => ({
+      language,
+      words: new Set(words),
+    }));
+  }
+
+  /**
+   * Identify the language of a text.
+   * Returns `{ language, confidence, script }`; `language` is an ISO 639-1 code, or
+   * 'und' when the text is too short or mixed to tell.
+   */
+  identify(text) {
+    const content = (text || '').replace(/https?:\/\/\S+|\S+@\S+/g, ' ');
+    const letters = SCRIPTS.map((entry) => ({ ...entry, letters: count(content, entry.regex) }));
+    const total = letters.reduce((sum, entry) => sum + entry.letters, 0);
+    if (total === 0) return { language: UNDETERMINED, confidence: 0, script: null };
+
+    const dominant = letters.reduce((best, entry) => (entry.letters > best.letters ? entry : best));
+    const share = dominant.letters / total;
+
+    if (dominant.script === 'cyrillic') {
+      const ukrainian = count(content, UKRAINIAN_LETTERS) > count(content, RUSSIAN_LETTERS);
+      return {
+        language: ukrainian ? 'uk' : 'ru',
+        confidence: Number(share.toFixed(2)),
+        script: 'cyrillic',
+      };
+    }
+    if (dominant.script !== 'latin') {
+      return {
+        language: dominant.language,
+        confidence: Number(share.toFixed(2)),
+        script: dominant.script,
+      };
+    }
+    return { ...this.identifyLatin(content, share), script: 'latin' };
+  }
+
+  /**
+   * Score Latin-script text by function words (1 point each) and telltale letters (2 points)
+   */
+  identifyLatin(text, share) {
+    const lower = text.toLowerCase();
+    const words = lower.match(/[\p{L}]+/gu) || [];
+    const scores = this.stopwords.map(({ language, words: stopwords }) => ({
+      language,
+      score: words.filter((word) => stopwords.has(word)).length + 2 * hintCount(lower, language),
+    }));
+    scores.sort((a, b) => b.score - a.score);
+
+    const [best, second] = scores;
+    const hinted = hintCount(lower, best.language) > 0;
+    if (best.score === 0 || (words.length < MIN_LATIN_WORDS && !hinted)) {
+      return { language: UNDETERMINED, confidence: 0 };
+    }
+    const margin = (best.score - (second ? second.score : 0)) / best.score;
+    return {
+      language: best.language,
+      confidence: Number((share * (0.5 + margin / 2)).toFixed(2)),
+    };
+  }
+}
+
+export default LanguageIdentifier;
@@ -0,0 +1,138 @@
+/**
+ * Text Normalization
+ * Folds obfuscated text ("p@ssw0rd", "pass word", "p-a-s-s", Cyrillic homoglyphs)
+ * into a canonical form while keeping a map back to the original offsets
+ */
+
+// Zero-width and invisible formatting characters
+const INVISIBLE_REGEX = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/;
+const COMBINING_MARKS_REGEX = /[\u0300-\u036f]/g;
+const WORD_CHAR_REGEX = /[\p{L}\p{N}]/u;
+// Symbols that change meaning ("c++", "c#") are kept instead of collapsed
+const SIGNIFICANT_SYMBOLS = ['+', '#', '&'];
+
+// Homoglyphs that render like Latin letters (lowercase forms)
+export const CONFUSABLES = {
+  а: 'a',
+  в: 'b',
+  е: 'e',
+  ё: 'e',
+  к: 'k',
+  м: 'm',
+  н: 'h',
+  о: 'o',
+  р: 'p',
+  с: 'c',
+  т: 't',
+  у: 'y',
+  х: 'x',
+  ѕ: 's',
+  і: 'i',
+  ї: 'i',
+  ј: 'j',
+  ԁ: 'd',
+  ԛ: 'q',
+  ԝ: 'w',
+  ɡ: 'g',
+  ɩ: 'i',
+  α: 'a',
+  β: 'b',
+  ε: 'e',
+  ι: 'i',
+  κ: 'k',
+  ν: 'v',
+  ο: 'o',
+  ρ: 'p',
+  τ: 't',
+  υ: 'u',
+  χ: 'x',
+};
+
+// Leetspeak substitutions. Look-alike letters fold to the same class so
+// "1" and "l" (or "0" and "o") compare equal on both sides.
+export const LEET_MAP = {
+  0: 'o',
+  1: 'i',
+  l: 'i',
+  '!': 'i',
+  '|': 'i',
+  3: 'e',
+  4: 'a',
+  '@': 'a',
+  5: 's',
+  $: 's',
+  7: 't',
+  8: 'b',
+  9: 'g',
+  6: 'g',
+};
+
+/**
+ * Fold a single code point to zero or more canonical characters
+ */
+const foldCharacter = (character) => {
+  if (INVISIBLE_REGEX.test(character)) return '';
+  const decomposed = character.normalize('NFKD').replace(COMBINING_MARKS_REGEX, '');
+  return Array.from(decomposed.normalize('NFKC').toLowerCase())
+    .map((c) => CONFUSABLES[c] || c)
+    .map((c) => LEET_MAP[c] || c)
+    .filter((c) => WORD_CHAR_REGEX.test(c) || SIGNIFICANT_SYMBOLS.includes(c))
+    .join('');
+};
+
+/**
+ * Normalize text for keyword matching.
+ * Returns the folded text, a map from each folded character to its original
+ * offset, and the offset just past each original character.
+ */
+export const normalizeText = (text) => {
+  let normalized = '';
+  const offsets = [];
+  const ends = [];
+  let index = 0;
+  Array.from(text || '').forEach((character) => {
+    const folded = foldCharacter(character);
+    for (let i = 0; i < folded.length; i += 1) {
+      offsets.push(index);
+      ends.push(index + character.length);
+    }
+    normalized += folded;
+    index += character.length;
+  });
+  return { text: normalized, offsets, ends };
+};
+
+/**
+ * Normalize a keyword the same way as content
+ */
+export const normalizeKeyword = (keyword) => normalizeText(keyword).text;
+
+/**
+ * Check whether a character of the original text is part of a word
+ */
+export const isWordCharacter = (character) => Boolean(character) && WORD_CHAR_REGEX.test(character);
+
+/**
+ * Map a match in normalized text back to a span of the original text.
+ * Matches that jump across separators (e.g. "pass word") must start and end
+ * on word boundaries, so "bypass words" does not match "password".
+ */
+export const toOriginalSpan = (original, normalized, start, length) => {
+  const spanStart = normalized.offsets[start];
+  const spanEnd = normalized.ends[start + length - 1];
+  const text = original.substring(spanStart, spanEnd);
+  const crossesSeparators = Array.from(text).some(
+    (c) =>
+      !isWordCharacter(c) &&
+      !SIGNIFICANT_SYMBOLS.includes(c) &&
+      !Object.prototype.hasOwnProperty.call(LEET_MAP, c)
+  );
+
+  if (crossesSeparators) {
+    const before = original[spanStart - 1];
+    const after = original[spanEnd];
+    if (isWordCharacter(before) || isWordCharacter(after)) return null;
+  }
+
+  return { text, index: spanStart, length: spanEnd - spanStart };
+};
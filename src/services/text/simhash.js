@@ -0,0 +1,66 @@
+/**
+ * SimHash
+ * 64-bit similarity hashes of word shingles (Charikar, "Similarity estimation techniques
+ * from rounding algorithms"). Near-duplicate texts differ in only a few bits, so they
+ * can be found by Hamming distance instead of comparing the texts.
+ */
+
+import { fnv1a, tokenize } from './winnowing';
+
+const BITS = 64;
+
+// Two independent 32-bit hashes of a feature make up its 64 bits
+const featureHashes = (feature) => [fnv1a(`\u0001${feature}`), fnv1a(feature)];
+
+/**
+ * SimHash of a text as 16 hex characters, or null when it has fewer than `minWords`
+ * words (too little text for a meaningful comparison)
+ */
+export const simhash = (text, { shingleSize = 2, minWords = 8 } = {}) => {
+  const words = tokenize(text).map((token) => token.word);
+  if (words.length < Math.max(minWords, 1)) return null;
+
+  const size = Math.min(shingleSize, words.length);
+  const weights = new Array(BITS).fill(0);
+  for (let i = 0; i + size <= words.length; i += 1) {
+    const [high, low] = featureHashes(words.slice(i, i + size).join(' '));
+    for (let bit = 0; bit < 32; bit += 1) {
+      weights[bit] += (high >>> (31 - bit)) & 1 ? 1 : -1;
+      weights[bit + 32] += (low >>> (31 - bit)) & 1 ? 1 : -1;
+    }
+  }
+
+  let hex = '';
+  for (let nibble = 0; nibble < BITS; nibble += 4) {
+    const value = weights
+      .slice(nibble, nibble + 4)
+      .reduce((acc, weight) => (acc << 1) | (weight > 0 ? 1 : 0), 0);
+    hex += value.toString(16);
+  }
+  return hex;
+};
+
+const popcount = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24) & 0xff;
+};
+
+/**
+ * Number of differing bits between two SimHashes
+ */
+export const hammingDistance = (a, b) =>
+  popcount((parseInt(a.substring(0, 8), 16) ^ parseInt(b.substring(0, 8), 16)) >>> 0) +
+  popcount((parseInt(a.substring(8), 16) ^ parseInt(b.substring(8), 16)) >>> 0);
+
+/**
+ * Split a SimHash into `count` equal bands. Two hashes within `count - 1` bits of each
+ * other share at least one band, so bands make good lookup keys for candidates.
+ */
+export const bands = (hash, count) => {
+  const size = Math.floor(hash.length / count);
+  return Array.from(
+    { length: count },
+    (_, i) => `${i}:${hash.substring(i * size, (i + 1) * size)}`
+  );
+};
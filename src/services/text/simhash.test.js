@@ -0,0 +1,45 @@
+import { bands, hammingDistance, simhash } from './simhash';
+
+const POST =
+  'Full customer database of the online store for sale, includes emails, phone numbers ' +
+  'and hashed passwords for every account, contact me on telegram';
+
+describe('simhash', () => {
+  it('returns 16 hex characters', () => {
+    expect(simhash(POST)).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('returns null for texts with fewer than minWords words', () => {
+    expect(simhash('too short to compare')).toBeNull();
+    expect(simhash('too short to compare', { minWords: 4 })).not.toBeNull();
+  });
+
+  it('keeps near-duplicates close and different texts apart', () => {
+    const repost = POST.replace('online store', 'online shop').replace('telegram', 'Telegram!');
+    const other =
+      'We are hiring backend engineers to build the next version of our payments ' +
+      'platform, remote friendly with a great team and good benefits';
+    expect(hammingDistance(simhash(POST), simhash(repost))).toBeLessThanOrEqual(12);
+    expect(hammingDistance(simhash(POST), simhash(other))).toBeGreaterThan(12);
+  });
+});
+
+describe('hammingDistance', () => {
+  it('counts differing bits across both halves', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(hammingDistance('8000000000000001', '0000000000000000')).toBe(2);
+  });
+});
+
+describe('bands', () => {
+  it('splits a hash into numbered bands', () => {
+    expect(bands('0123456789abcdef', 4)).toEqual(['0:0123', '1:4567', '2:89ab', '3:cdef']);
+  });
+
+  it('gives hashes a few bits apart a shared band', () => {
+    const a = bands('0123456789abcdef', 4);
+    const b = bands('0123456789abcdee', 4);
+    expect(a.some((band) => b.includes(band))).toBe(true);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Winnowing
+ * Document fingerprints from hashed word shingles (Schleimer et al., "Winnowing: local
+ * algorithms for document fingerprinting"). Any passage of at least
+ * `shingleSize + windowSize - 1` words shared by two texts shares a fingerprint.
+ */
+
+import { normalizeKeyword } from './normalization';
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split text into normalized words with their offsets in the original text
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  const regex = new RegExp(WORD_REGEX.source, WORD_REGEX.flags);
+  let match;
+  while ((match = regex.exec(text || '')) !== null) {
+    const word = normalizeKeyword(match[0]);
+    if (word) tokens.push({ word, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+/**
+ * 32-bit FNV-1a hash of a string, as an unsigned integer
+ */
+export const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Winnowed fingerprints of a text: `[{ hash, start, end }]` where `start`/`end` are the
+ * offsets of the shingle in the original text. The salt is mixed into every hash.
+ */
+export const fingerprint = (text, { shingleSize, windowSize, salt = '' }) => {
+  const tokens = tokenize(text);
+  if (tokens.length < shingleSize) return [];
+
+  const shingles = [];
+  for (let i = 0; i + shingleSize <= tokens.length; i += 1) {
+    const words = tokens.slice(i, i + shingleSize).map((token) => token.word);
+    shingles.push({
+      hash: fnv1a(`${salt}${words.join(' ')}`),
+      start: tokens[i].start,
+      end: tokens[i + shingleSize - 1].end,
+    });
+  }
+
+  // Keep the minimum hash of every window (rightmost on ties), once per position
+  const selected = [];
+  let last = -1;
+  const windows = Math.max(shingles.length - windowSize + 1, 1);
+  for (let w = 0; w < windows; w += 1) {
+    let min = w;
+    for (let i = w; i < Math.min(w + windowSize, shingles.length); i += 1) {
+      if (shingles[i].hash <= shingles[min].hash) min = i;
+    }
+    if (min !== last) {
+      selected.push(shingles[min]);
+      last = min;
+    }
+  }
+  return selected;
+};
+
+export default fingerprint;
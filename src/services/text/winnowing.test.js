@@ -0,0 +1,58 @@
+import { fingerprint, fnv1a, tokenize } from './winnowing';
+
+const OPTIONS = { shingleSize: 3, windowSize: 2 };
+
+const hashes = (text, options = OPTIONS) => fingerprint(text, options).map((f) => f.hash);
+
+describe('tokenize', () => {
+  it('returns normalized words with their offsets', () => {
+    const tokens = tokenize('Hello, WORLD 42');
+    expect(tokens.map((token) => [token.start, token.end])).toEqual([
+      [0, 5],
+      [7, 12],
+      [13, 15],
+    ]);
+    expect(tokens.map((token) => token.word)).toEqual(
+      tokenize('hello world 42').map((token) => token.word)
+    );
+  });
+});
+
+describe('fnv1a', () => {
+  it('matches the reference 32-bit FNV-1a values', () => {
+    expect(fnv1a('')).toBe(0x811c9dc5);
+    expect(fnv1a('a')).toBe(0xe40c292c);
+    expect(fnv1a('foobar')).toBe(0xbf9cf968);
+  });
+});
+
+describe('fingerprint', () => {
+  const document =
+    'The quarterly roadmap covers the new payment platform, the migration of customer ' +
+    'records and the launch of the partner portal in the third quarter.';
+
+  it('returns nothing for texts shorter than a shingle', () => {
+    expect(fingerprint('two words', OPTIONS)).toEqual([]);
+  });
+
+  it('ignores case, punctuation and spacing', () => {
+    expect(hashes(document.toUpperCase().replace(/,/g, '  '))).toEqual(hashes(document));
+  });
+
+  it('shares a fingerprint with any long enough copied passage', () => {
+    const documentHashes = new Set(hashes(document));
+    const passage = 'leaked: the migration of customer records, see you';
+    expect(hashes(passage).some((hash) => documentHashes.has(hash))).toBe(true);
+  });
+
+  it('points each fingerprint at its shingle in the text', () => {
+    fingerprint(document, OPTIONS).forEach(({ start, end }) => {
+      expect(tokenize(document.substring(start, end))).toHaveLength(OPTIONS.shingleSize);
+    });
+  });
+
+  it('mixes the salt into every hash', () => {
+    const salted = new Set(hashes(document, { ...OPTIONS, salt: 'org' }));
+    expect(hashes(document).some((hash) => salted.has(hash))).toBe(false);
+  });
+});